@@ -0,0 +1,418 @@
+/**
+ * Band mapping: from a tinnitus match to the active and sham bands.
+ *
+ * Single source of truth for the band logic, used by the generator
+ * (soundGeneratorAPI.js), the standalone script (soundGenerator.js) and the
+ * Advanced UI, so this module must stay free of Node-only imports.
+ *
+ * Band modes:
+ * - "table1":   paper Table 1 (PAPER_TABLE); the match snaps to the nearest
+ *               key, A1/C1 preferred, A2/C2 contingencies. Matches below
+ *               1 kHz use EXTRAPOLATED_ROWS
+ * - "table":    the same lookup in a user-supplied JSON table (bandTable),
+ *               in the schema of PAPER_TABLE
+ * - "octave":   Table 1's rule applied to any frequency without snapping:
+ *               a one-octave active band centred (log) on the match, a
+ *               one-octave sham band adjacent below it (above it when it
+ *               would reach below OCTAVE_SHAM_MIN_HZ), and contingencies
+ *               half an octave lower
+ * - "centered": bandWidthOct octaves centred on the match, sham band of
+ *               equal width adjacent below it (above if it does not fit)
+ * - "explicit": caller supplies activeBand / shamBand as { lo, hi } in Hz
+ *
+ * In the table and octave modes A2/C2 are used when requested, or
+ * automatically when the preferred band reaches above the listener's upper
+ * audible limit; C2 also replaces a C1 that would overlap the active band.
+ *
+ * The paper's carrier starts at 1 kHz and Table 1 with it. A match below
+ * PAPER_CARRIER_MIN_HZ is mapped with the carrier floor lowered to
+ * EXTRAPOLATED_CARRIER_MIN_HZ (see matchCarrier), and any band reaching below
+ * 1 kHz is marked bandLogic.extrapolated: it lies outside the published
+ * protocol.
+ */
+
+export const BAND_MODES = {
+  table1: "Table 1 (paper)",
+  octave: "Octave rule (no snapping)",
+  table: "Custom table (JSON)",
+  centered: "Centred on match",
+  explicit: "Explicit",
+};
+
+// Modes with A2/C2 contingency bands (useAltActive, useAltSham, upperLimitHz)
+export const CONTINGENCY_BAND_MODES = ["table1", "table", "octave"];
+
+export const BAND_WIDTH_OCT_RANGE = { min: 0.25, max: 3 };
+
+// Octave rule: sham bands below the active band stay above this frequency,
+// as in Table 1 (otherwise the sham band goes above)
+const OCTAVE_SHAM_MIN_HZ = 2000;
+
+// Carrier floor of the paper, and the lowest floor used for extrapolated
+// matches below it
+export const PAPER_CARRIER_MIN_HZ = 1000;
+export const EXTRAPOLATED_CARRIER_MIN_HZ = 250;
+
+// Paper Table 1. Rows are keyed by the paper's tinnitus-match set (kHz) and
+// name the preferred (A1/C1) and contingency (A2/C2) bands; user tables use
+// the same schema.
+export const PAPER_TABLE = {
+  name: "Table 1 (paper)",
+  bands: [
+    { name: "1-2k",     lo: 1000, hi: 2000 },
+    { name: "1.4-2.8k", lo: 1400, hi: 2800 },
+    { name: "2-4k",     lo: 2000, hi: 4000 },
+    { name: "2.8-5.7k", lo: 2800, hi: 5700 },
+    { name: "4-8k",     lo: 4000, hi: 8000 },
+    { name: "5.7-11k",  lo: 5700, hi: 11000 },
+    { name: "8-16k",    lo: 8000, hi: 16000 },
+  ],
+  rows: [
+    { matchKHz: 1.0,  a1: "1-2k",     a2: null,       c1: "2-4k",     c2: null },
+    { matchKHz: 1.2,  a1: "1-2k",     a2: null,       c1: "2-4k",     c2: null },
+    { matchKHz: 1.4,  a1: "1-2k",     a2: null,       c1: "2-4k",     c2: null },
+    { matchKHz: 1.7,  a1: "1.4-2.8k", a2: "1-2k",     c1: "2.8-5.7k", c2: null },
+    { matchKHz: 2.0,  a1: "1.4-2.8k", a2: null,       c1: "2.8-5.7k", c2: null },
+    { matchKHz: 2.4,  a1: "2-4k",     a2: "1.4-2.8k", c1: "4-8k",     c2: null },
+    { matchKHz: 2.8,  a1: "2-4k",     a2: null,       c1: "4-8k",     c2: null },
+    { matchKHz: 3.4,  a1: "2.8-5.7k", a2: "2-4k",     c1: "5.7-11k",  c2: null },
+    { matchKHz: 4.0,  a1: "2.8-5.7k", a2: null,       c1: "5.7-11k",  c2: null },
+    { matchKHz: 4.8,  a1: "4-8k",     a2: "2.8-5.7k", c1: "2-4k",     c2: "1.4-2.8k" },
+    { matchKHz: 5.7,  a1: "4-8k",     a2: null,       c1: "2-4k",     c2: null },
+    { matchKHz: 6.7,  a1: "5.7-11k",  a2: "4-8k",     c1: "2.8-5.7k", c2: "2-4k" },
+    { matchKHz: 8.0,  a1: "5.7-11k",  a2: null,       c1: "2.8-5.7k", c2: null },
+    { matchKHz: 9.5,  a1: "5.7-11k",  a2: null,       c1: "2.8-5.7k", c2: null },
+    { matchKHz: 11.0, a1: "8-16k",    a2: null,       c1: "4-8k",     c2: null },
+    { matchKHz: 13.0, a1: "8-16k",    a2: null,       c1: "4-8k",     c2: null },
+    { matchKHz: 16.0, a1: "8-16k",    a2: null,       c1: "4-8k",     c2: null },
+  ],
+};
+
+// Table 1 continued below 1 kHz (not in the paper): the 1.0-2.0 kHz rows
+// halved once and twice, so the active band is an octave around the match,
+// the sham octave sits adjacent above it and A2 is half an octave lower.
+// Where the two overlap the row nearer the paper wins.
+export const EXTRAPOLATED_ROWS = {
+  bands: [
+    { name: "0.25-0.5k", lo: 250, hi: 500 },
+    { name: "0.35-0.7k", lo: 350, hi: 700 },
+    { name: "0.5-1k",    lo: 500, hi: 1000 },
+    { name: "0.7-1.4k",  lo: 700, hi: 1400 },
+  ],
+  rows: [
+    { matchKHz: 0.25,  a1: "0.25-0.5k", a2: null,        c1: "0.5-1k",   c2: null },
+    { matchKHz: 0.3,   a1: "0.25-0.5k", a2: null,        c1: "0.5-1k",   c2: null },
+    { matchKHz: 0.35,  a1: "0.25-0.5k", a2: null,        c1: "0.5-1k",   c2: null },
+    { matchKHz: 0.425, a1: "0.35-0.7k", a2: "0.25-0.5k", c1: "0.7-1.4k", c2: null },
+    { matchKHz: 0.5,   a1: "0.5-1k",    a2: null,        c1: "1-2k",     c2: null },
+    { matchKHz: 0.6,   a1: "0.5-1k",    a2: null,        c1: "1-2k",     c2: null },
+    { matchKHz: 0.7,   a1: "0.5-1k",    a2: null,        c1: "1-2k",     c2: null },
+    { matchKHz: 0.85,  a1: "0.7-1.4k",  a2: "0.5-1k",    c1: "1.4-2.8k", c2: null },
+  ],
+};
+
+// Lookup table of the "table1" mode
+const TABLE1 = {
+  name: PAPER_TABLE.name,
+  bands: [...EXTRAPOLATED_ROWS.bands, ...PAPER_TABLE.bands],
+  rows: [...EXTRAPOLATED_ROWS.rows, ...PAPER_TABLE.rows],
+};
+
+export function bandName(lo, hi) {
+  return `${Math.round(lo)}-${Math.round(hi)} Hz`;
+}
+
+/**
+ * Validate a caller-supplied band.
+ *
+ * @param {Object} band - { lo, hi } in Hz, optional name
+ * @param {string} label - Option name for error messages
+ * @returns {Object} {name, lo, hi}
+ * @throws {RangeError} If the band is missing or lo/hi are not 0 < lo < hi
+ */
+export function explicitBand(band, label) {
+  if (band == null || typeof band !== "object") {
+    throw new RangeError(`${label} must be an object { lo, hi } in Hz`);
+  }
+  const lo = Number(band.lo);
+  const hi = Number(band.hi);
+  if (!Number.isFinite(lo) || !Number.isFinite(hi) || lo <= 0 || lo >= hi) {
+    throw new RangeError(`Invalid ${label}: ${band.lo}-${band.hi} Hz (expected 0 < lo < hi)`);
+  }
+  return { name: band.name ? String(band.name) : bandName(lo, hi), lo, hi };
+}
+
+/**
+ * Validate a band mapping table (user-supplied JSON in the schema of
+ * PAPER_TABLE).
+ *
+ * @param {Object} table - { name, bands: [{name, lo, hi}], rows: [{matchKHz, a1, a2, c1, c2}] };
+ *   a1 and c1 are required band names, a2 and c2 optional (null)
+ * @returns {Object} The table with numbers coerced and rows sorted by matchKHz
+ * @throws {RangeError} If the table is malformed or a row names an unknown band
+ */
+export function resolveBandTable(table) {
+  if (table == null || typeof table !== "object" || !Array.isArray(table.bands) || !Array.isArray(table.rows)) {
+    throw new RangeError("bandTable must be an object { name, bands: [...], rows: [...] }");
+  }
+  if (table.bands.length === 0 || table.rows.length === 0) {
+    throw new RangeError("bandTable needs at least one band and one row");
+  }
+
+  const bands = table.bands.map((band, i) => explicitBand(band, `bandTable.bands[${i}]`));
+  const names = new Set();
+  for (const band of bands) {
+    if (names.has(band.name)) {
+      throw new RangeError(`bandTable.bands: duplicate band name ${band.name}`);
+    }
+    names.add(band.name);
+  }
+
+  const rows = table.rows.map((row, i) => {
+    const matchKHz = Number(row?.matchKHz);
+    if (!Number.isFinite(matchKHz) || matchKHz <= 0) {
+      throw new RangeError(`Invalid bandTable.rows[${i}].matchKHz: ${row?.matchKHz}`);
+    }
+    const resolved = { matchKHz };
+    for (const choice of ["a1", "a2", "c1", "c2"]) {
+      const name = row[choice] ?? null;
+      const required = choice === "a1" || choice === "c1";
+      if ((name === null && required) || (name !== null && !names.has(String(name)))) {
+        throw new RangeError(`bandTable.rows[${i}].${choice}: ${name === null ? "missing" : `unknown band ${name}`}`);
+      }
+      resolved[choice] = name === null ? null : String(name);
+    }
+    return resolved;
+  }).sort((a, b) => a.matchKHz - b.matchKHz);
+
+  for (let i = 1; i < rows.length; i++) {
+    if (rows[i].matchKHz === rows[i - 1].matchKHz) {
+      throw new RangeError(`bandTable.rows: duplicate matchKHz ${rows[i].matchKHz}`);
+    }
+  }
+  return { name: table.name ? String(table.name) : "custom", bands, rows };
+}
+
+// Pick A1/A2 and C1/C2. A contingency is used when requested or when the
+// preferred band reaches above the upper audible limit; C2 also replaces a C1
+// that would overlap the chosen active band.
+function chooseBands({ a1, a2, c1, c2 }, { useAltActive, useAltSham, upperLimitHz = null }) {
+  const inaudible = (band) => upperLimitHz !== null && band.hi > upperLimitHz;
+  const useA2 = (useAltActive || inaudible(a1)) && a2 != null;
+  const activeBand = useA2 ? a2 : a1;
+  const overlapsActive = (band) => band.lo < activeBand.hi && activeBand.lo < band.hi;
+  const useC2 = c1 != null && (useAltSham || inaudible(c1) || overlapsActive(c1)) && c2 != null;
+  return {
+    activeBand,
+    shamBand: useC2 ? c2 : c1,
+    activeChoice: useA2 ? "A2" : "A1",
+    shamChoice: c1 == null ? null : useC2 ? "C2" : "C1",
+  };
+}
+
+// Row of the key nearest the match (linear kHz distance, the lower key on a tie)
+function nearestRow(rows, tinnitusHz) {
+  const kHz = tinnitusHz / 1000;
+  let best = rows[0];
+  for (const row of rows) {
+    if (Math.abs(kHz - row.matchKHz) < Math.abs(kHz - best.matchKHz)) best = row;
+  }
+  return best;
+}
+
+function tableBands(tinnitusHz, table, bandSpec) {
+  const row = nearestRow(table.rows, tinnitusHz);
+  const band = (name) => name === null ? null : table.bands.find((b) => b.name === name);
+  const { activeBand, shamBand, activeChoice, shamChoice } = chooseBands(
+    { a1: band(row.a1), a2: band(row.a2), c1: band(row.c1), c2: band(row.c2) }, bandSpec,
+  );
+  return {
+    activeBand,
+    shamBand,
+    bandLogic: {
+      mode: bandSpec.bandMode,
+      ...(bandSpec.bandMode === "table" && { table: table.name }),
+      matchKeyKHz: row.matchKHz,
+      activeChoice,
+      shamChoice,
+    },
+  };
+}
+
+function octaveBand(lo) {
+  return { name: bandName(lo, 2 * lo), lo, hi: 2 * lo };
+}
+
+function octaveBands(tinnitusHz, bandSpec, { carrierMinHz, carrierMaxHz }) {
+  if (carrierMaxHz < 2 * carrierMinHz) {
+    throw new RangeError(`The octave rule needs a carrier range of at least one octave (${carrierMinHz}-${carrierMaxHz} Hz)`);
+  }
+  // One octave centred on the match, slid inside the carrier
+  const lo = Math.min(Math.max(tinnitusHz / Math.SQRT2, carrierMinHz), carrierMaxHz / 2);
+  const a1 = octaveBand(lo);
+  const a2 = lo / Math.SQRT2 >= carrierMinHz ? octaveBand(lo / Math.SQRT2) : null;
+
+  const below = lo / 2 >= OCTAVE_SHAM_MIN_HZ;
+  const c1 = below ? octaveBand(lo / 2) : 2 * a1.hi <= carrierMaxHz ? octaveBand(a1.hi) : null;
+  const c2 = below && a2 && a2.lo / 2 >= carrierMinHz ? octaveBand(a2.lo / 2) : null;
+  if (!c1 && bandSpec.generateSham) {
+    throw new RangeError(`No room for a sham octave beside ${a1.name} within the carrier range ${carrierMinHz}-${carrierMaxHz} Hz`);
+  }
+
+  const { activeBand, shamBand, activeChoice, shamChoice } = chooseBands({ a1, a2, c1, c2 }, bandSpec);
+  return {
+    activeBand,
+    shamBand,
+    bandLogic: { mode: "octave", activeChoice, shamChoice, shamPlacement: c1 ? (below ? "below" : "above") : null },
+  };
+}
+
+function centeredBands(tinnitusHz, widthOct, generateSham, { carrierMinHz, carrierMaxHz }) {
+  const halfWidth = Math.pow(2, widthOct / 2);
+  const lo = tinnitusHz / halfWidth;
+  const hi = tinnitusHz * halfWidth;
+  const width = Math.pow(2, widthOct);
+
+  let shamPlacement = null;
+  let shamLo;
+  let shamHi;
+  if (lo / width >= carrierMinHz) {
+    shamPlacement = "below";
+    shamLo = lo / width;
+    shamHi = lo;
+  } else if (hi * width <= carrierMaxHz) {
+    shamPlacement = "above";
+    shamLo = hi;
+    shamHi = hi * width;
+  } else if (generateSham) {
+    throw new RangeError(
+      `No room for a ${widthOct}-octave sham band beside ${bandName(lo, hi)} within the carrier range ${carrierMinHz}-${carrierMaxHz} Hz`
+    );
+  }
+
+  return {
+    activeBand: { name: bandName(lo, hi), lo, hi },
+    shamBand: shamPlacement ? { name: bandName(shamLo, shamHi), lo: shamLo, hi: shamHi } : null,
+    bandLogic: { mode: "centered", widthOct, shamPlacement },
+  };
+}
+
+/**
+ * Carrier range a match is mapped in: below the paper's 1 kHz floor the
+ * floor drops to EXTRAPOLATED_CARRIER_MIN_HZ so the bands can follow the
+ * match. The generator extends the carrier down to the resulting bands.
+ *
+ * @param {number} tinnitusHz - Tinnitus match in Hz
+ * @param {Object} carrier - { carrierMinHz, carrierMaxHz }
+ * @returns {Object} { carrierMinHz, carrierMaxHz }
+ */
+export function matchCarrier(tinnitusHz, carrier) {
+  if (tinnitusHz >= PAPER_CARRIER_MIN_HZ) return carrier;
+  return { ...carrier, carrierMinHz: Math.min(carrier.carrierMinHz, EXTRAPOLATED_CARRIER_MIN_HZ) };
+}
+
+/**
+ * Validate the band options of a request.
+ *
+ * @param {Object} options
+ * @param {string} options.bandMode - One of BAND_MODES (default "table1")
+ * @param {number} options.bandWidthOct - Band width for "centered"
+ * @param {Object|null} options.bandTable - Mapping table for "table" (see resolveBandTable)
+ * @param {boolean} options.clipToCarrier - Clip the bands to the carrier instead of rejecting
+ *   bands that reach outside it (notches)
+ * @returns {Object} Band spec for mapMatch(): the options with bandWidthOct and bandTable resolved
+ * @throws {RangeError} On an unknown mode, out-of-range width or malformed table
+ */
+export function resolveBandSpec({
+  bandMode = "table1", bandWidthOct = 1, bandTable = null, activeBand = null, shamBand = null,
+  useAltActive = false, useAltSham = false, upperLimitHz = null, generateSham = false, clipToCarrier = false,
+}) {
+  if (!BAND_MODES[bandMode]) {
+    throw new RangeError(`Invalid bandMode: ${bandMode} (expected one of ${Object.keys(BAND_MODES).join(", ")})`);
+  }
+  const widthOct = Number(bandWidthOct);
+  if (bandMode === "centered" && (!Number.isFinite(widthOct) || widthOct < BAND_WIDTH_OCT_RANGE.min || widthOct > BAND_WIDTH_OCT_RANGE.max)) {
+    throw new RangeError(`Invalid bandWidthOct: ${bandWidthOct} (expected ${BAND_WIDTH_OCT_RANGE.min}..${BAND_WIDTH_OCT_RANGE.max})`);
+  }
+  if (bandMode === "table" && bandTable == null) {
+    throw new RangeError("bandMode \"table\" needs a bandTable");
+  }
+  return {
+    bandMode,
+    bandWidthOct: widthOct,
+    bandTable: bandMode === "table" ? resolveBandTable(bandTable) : null,
+    activeBand,
+    shamBand,
+    useAltActive,
+    useAltSham,
+    upperLimitHz,
+    generateSham,
+    clipToCarrier,
+  };
+}
+
+/**
+ * Clip a band to the carrier and the upper audible limit. Notches are clipped
+ * rather than rejected: outside the carrier there is nothing to remove.
+ *
+ * @param {Object} band - { name, lo, hi } in Hz
+ * @param {Object} carrier - { carrierMinHz, carrierMaxHz }
+ * @param {number|null} upperLimitHz - Upper audible limit in Hz, if measured
+ * @returns {Object|null} The band (renamed if clipped), or null if it does not overlap the carrier
+ */
+export function clipBand(band, { carrierMinHz, carrierMaxHz }, upperLimitHz = null) {
+  const lo = Math.max(band.lo, carrierMinHz);
+  const hi = Math.min(band.hi, carrierMaxHz, upperLimitHz ?? Infinity);
+  if (lo >= hi) return null;
+  return lo === band.lo && hi === band.hi ? band : { name: bandName(lo, hi), lo, hi };
+}
+
+function carrierRangeName({ carrierMinHz, carrierMaxHz }, upperLimitHz = null) {
+  return `${Math.round(carrierMinHz)}-${Math.round(Math.min(carrierMaxHz, upperLimitHz ?? Infinity))} Hz`;
+}
+
+/**
+ * Active and sham band for a single tinnitus match ("explicit" bands are
+ * not derived from a match and are resolved by the caller).
+ *
+ * @param {number} tinnitusHz - Tinnitus match in Hz
+ * @param {Object} bandSpec - Result of resolveBandSpec()
+ * @param {Object} carrier - { carrierMinHz, carrierMaxHz }; lowered for matches below 1 kHz (matchCarrier)
+ * @returns {Object} {activeBand, shamBand (null if none fits), bandLogic}; bandLogic.extrapolated
+ *   is true when a band reaches below PAPER_CARRIER_MIN_HZ. With bandSpec.clipToCarrier the
+ *   bands are clipped to the carrier (see clipBand)
+ * @throws {RangeError} If the mode cannot place a required band, or a clipped active band
+ *   does not overlap the carrier
+ */
+export function mapMatch(tinnitusHz, bandSpec, carrier) {
+  const range = matchCarrier(tinnitusHz, carrier);
+  const bands = bandSpec.clipToCarrier
+    ? clipBands(matchBands(tinnitusHz, bandSpec, range), range, bandSpec.upperLimitHz)
+    : matchBands(tinnitusHz, bandSpec, range);
+  const below = [bands.activeBand, bands.shamBand].some((band) => band && band.lo < PAPER_CARRIER_MIN_HZ);
+  return below ? { ...bands, bandLogic: { ...bands.bandLogic, extrapolated: true } } : bands;
+}
+
+function clipBands(bands, carrier, upperLimitHz) {
+  const activeBand = clipBand(bands.activeBand, carrier, upperLimitHz);
+  if (!activeBand) {
+    throw new RangeError(`activeBand ${bands.activeBand.name} does not overlap the carrier range ${carrierRangeName(carrier, upperLimitHz)}`);
+  }
+  const shamBand = bands.shamBand && clipBand(bands.shamBand, carrier, upperLimitHz);
+  return { ...bands, activeBand, shamBand };
+}
+
+function matchBands(tinnitusHz, bandSpec, carrier) {
+  if (bandSpec.bandMode === "centered") {
+    // A sham band above the upper audible limit would not be heard
+    const audible = { ...carrier, carrierMaxHz: Math.min(carrier.carrierMaxHz, bandSpec.upperLimitHz ?? Infinity) };
+    return centeredBands(tinnitusHz, bandSpec.bandWidthOct, bandSpec.generateSham, audible);
+  }
+  if (bandSpec.bandMode === "octave") {
+    return octaveBands(tinnitusHz, bandSpec, carrier);
+  }
+  if (bandSpec.bandMode === "explicit") {
+    throw new RangeError("Explicit bands are not derived from a tinnitus match");
+  }
+  return tableBands(tinnitusHz, bandSpec.bandMode === "table" ? bandSpec.bandTable : TABLE1, bandSpec);
+}
@@ -0,0 +1,26 @@
+/**
+ * Worker thread entry point: renders therapy blocks for BlockWorkerPool.
+ *
+ * Each message is a serialisable block job (see renderBlock in
+ * soundGeneratorAPI.js); the rendered block comes back with its interleaved
+ * samples transferred rather than copied. A job with task "truePeak" instead
+ * scans a finished block for the file's loudness meter (see stretchTruePeak
+ * in loudness.js).
+ */
+
+import { parentPort } from "worker_threads";
+import { renderBlock } from "./soundGeneratorAPI.js";
+import { stretchTruePeak } from "./loudness.js";
+
+parentPort.on("message", ({ id, job }) => {
+  try {
+    if (job.task === "truePeak") {
+      parentPort.postMessage({ id, result: stretchTruePeak(job.samples, job.numChannels) });
+      return;
+    }
+    const block = renderBlock(job);
+    parentPort.postMessage({ id, result: block }, [block.samples.buffer]);
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
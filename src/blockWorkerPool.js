@@ -0,0 +1,74 @@
+/**
+ * Fixed-size pool of worker threads that render blocks in parallel.
+ *
+ * Jobs are dispatched to whichever worker is idle; each run() promise
+ * resolves with that job's rendered block (or true peak, see blockWorker.js),
+ * so callers that await the promises in submission order get the blocks back
+ * in file order.
+ */
+
+import { Worker } from "worker_threads";
+
+export class BlockWorkerPool {
+  /**
+   * @param {number} size - Number of worker threads
+   * @param {URL} workerUrl - Worker module (see blockWorker.js)
+   */
+  constructor(size, workerUrl) {
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.tasks = new Map(); // job id -> { resolve, reject }
+    this.assigned = new Map(); // worker -> job id
+    this.nextId = 0;
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(workerUrl);
+      worker.on("message", ({ id, result, error }) => {
+        const task = this.tasks.get(id);
+        this.tasks.delete(id);
+        this.assigned.delete(worker);
+        this.idle.push(worker);
+        if (error) task.reject(new Error(error));
+        else task.resolve(result);
+        this.dispatch();
+      });
+      worker.on("error", (error) => {
+        const id = this.assigned.get(worker);
+        if (id !== undefined) {
+          this.tasks.get(id).reject(error);
+          this.tasks.delete(id);
+        }
+      });
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  /**
+   * Queue a job.
+   * @param {Object} job - Structured-clonable job description
+   * @returns {Promise<Object|number>} Rendered block (see renderBlock), or the true peak of a "truePeak" job
+   */
+  run(job) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.tasks.set(id, { resolve, reject });
+      this.queue.push({ id, job });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.pop();
+      const { id, job } = this.queue.shift();
+      this.assigned.set(worker, id);
+      worker.postMessage({ id, job });
+    }
+  }
+
+  async close() {
+    await Promise.all(this.workers.map((worker) => worker.terminate()));
+  }
+}
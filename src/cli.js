@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Command-line tools for generated therapy files.
+ *
+ * Usage:
+ *   tinnitus-tool inspect <file.wav> [--json]
+ *
+ * inspect prints the format, duration, embedded generation record and
+ * integrity checks of a WAV (see wavParser.js). Exit status: 0 when every
+ * check passes, 1 when a check fails, 2 for usage errors or unreadable files.
+ */
+
+import fs from "fs";
+import { inspectWav, fileSource } from "./wavParser.js";
+import { ALGORITHM_VERSION } from "./soundGeneratorAPI.js";
+
+const USAGE = "Usage: tinnitus-tool inspect <file.wav> [--json]";
+
+const CHECK_MARKS = { true: "ok  ", false: "FAIL", null: "--  " };
+
+function formatBands(bands) {
+  if (!bands || bands.length === 0) return "carrier only";
+  return bands.map((b) => `${b.lo}-${b.hi} Hz`).join(", ");
+}
+
+function printReport(file, report) {
+  const { format, metadata } = report;
+  console.log(file);
+  console.log(`  Container: ${report.container}`);
+  if (format) {
+    console.log(`  Format:    ${format.sampleFormat ?? `${format.encoding} ${format.bitsPerSample}-bit`}, ${format.sampleRate} Hz, ${format.numChannels} ch`);
+  }
+  console.log(`  Duration:  ${report.durationSec} s (${report.frames} frames)`);
+  if (report.info) {
+    for (const [id, text] of Object.entries(report.info)) {
+      console.log(`  ${id}:      ${text}`);
+    }
+  }
+  if (metadata) {
+    console.log(`  File type: ${metadata.fileType}`);
+    console.log(`  Seed:      ${metadata.seed} (file seed ${metadata.fileSeed})`);
+    (metadata.channelBands ?? []).forEach((bands, c) => {
+      console.log(`  Channel ${c}: ${formatBands(bands)}`);
+    });
+    const reproducible = report.reproducible
+      ? "yes"
+      : `no (recorded with algorithm version ${metadata.algorithmVersion}, this tool renders version ${ALGORITHM_VERSION})`;
+    console.log(`  Reproducible with this version: ${reproducible}`);
+  }
+  console.log("  Checks:");
+  for (const check of report.checks) {
+    console.log(`    [${CHECK_MARKS[check.ok]}] ${check.name.padEnd(8)} ${check.detail}`);
+  }
+  console.log(report.ok ? "  Result: OK" : "  Result: FAILED");
+}
+
+function inspect(args) {
+  const json = args.includes("--json");
+  const files = args.filter((a) => a !== "--json");
+  if (files.length !== 1 || files[0].startsWith("--")) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  let fd;
+  try {
+    fd = fs.openSync(files[0], "r");
+  } catch (error) {
+    console.error(`Cannot open ${files[0]}: ${error.message}`);
+    return 2;
+  }
+  try {
+    const report = inspectWav(fileSource(fd), { algorithmVersion: ALGORITHM_VERSION });
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(files[0], report);
+    }
+    return report.ok ? 0 : 1;
+  } catch (error) {
+    // RangeError: not a WAV file
+    console.error(`${files[0]}: ${error.message}`);
+    return 2;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+const COMMANDS = { inspect };
+
+const [command, ...args] = process.argv.slice(2);
+if (!COMMANDS[command]) {
+  console.error(USAGE);
+  process.exit(2);
+}
+process.exit(COMMANDS[command](args));
@@ -0,0 +1,129 @@
+/**
+ * Output level and requantisation of float blocks to integer samples.
+ *
+ * Therapy sound is often played quietly, and at low levels plain rounding
+ * to 16 bits leaves quantisation error that follows the signal and is heard
+ * as distortion. Every integer output path (WAV, FLAC, raw PCM) therefore
+ * goes through one Quantizer:
+ *
+ * - "none":   round to the nearest step (the original behaviour)
+ * - "tpdf":   add triangular-PDF dither of ±1 LSB before rounding, which
+ *             turns the error into steady white noise independent of the
+ *             signal
+ * - "shaped": TPDF plus first-order error feedback, so the noise spectrum
+ *             follows |1 - z^-1|: lower below fs/6 where hearing is most
+ *             sensitive, higher towards Nyquist
+ *
+ * Dither draws come from a seeded generator and run sequentially through a
+ * file, so a request and seed still reproduce the file bit for bit.
+ *
+ * The option lists and ranges are shared with the Advanced UI, so this
+ * module must stay free of Node-only imports.
+ */
+
+export const DITHER_MODES = ["none", "tpdf", "shaped"];
+export const DEFAULT_DITHER = "tpdf";
+
+// Master output level in dBFS: 0 leaves the normalised signal as it is
+export const OUTPUT_LEVEL_RANGE = { min: -60, max: 0 };
+
+// Upper edge of the band reported separately in the noise floor
+const LOW_BAND_MAX_HZ = 4000;
+
+// Bound on the fed-back error: clipped samples would otherwise feed back
+// errors of many steps
+const MAX_SHAPING_ERROR = 2;
+
+/**
+ * Validate the output level and dither options.
+ *
+ * @param {Object} options
+ * @param {number} options.outputLevelDb - Output level in dBFS (-60..0, default 0)
+ * @param {string} options.dither - "none", "tpdf" (default) or "shaped"
+ * @param {boolean} options.float - Float output: dither does not apply and resolves to "none"
+ * @returns {Object} {outputLevelDb, gain (linear), dither}
+ * @throws {RangeError} On an unknown dither mode or out-of-range level
+ */
+export function resolveOutputStage({ outputLevelDb = 0, dither = DEFAULT_DITHER, float = false } = {}) {
+  if (!Number.isFinite(outputLevelDb) || outputLevelDb < OUTPUT_LEVEL_RANGE.min || outputLevelDb > OUTPUT_LEVEL_RANGE.max) {
+    throw new RangeError(`Invalid outputLevelDb: ${outputLevelDb} (expected ${OUTPUT_LEVEL_RANGE.min}..${OUTPUT_LEVEL_RANGE.max} dBFS)`);
+  }
+  if (!DITHER_MODES.includes(dither)) {
+    throw new RangeError(`Invalid dither: ${dither} (expected one of ${DITHER_MODES.join(", ")})`);
+  }
+  return {
+    outputLevelDb,
+    gain: Math.pow(10, outputLevelDb / 20),
+    dither: float ? "none" : dither,
+  };
+}
+
+/**
+ * Requantisation noise of an integer output, from the step size and the
+ * dither's noise power (rounding q²/12, TPDF q²/6, first-order shaping
+ * doubling the total and moving it towards Nyquist). Levels follow the
+ * loudness.js RMS convention (full-scale sine -3.01 dBFS).
+ *
+ * @param {Object} options
+ * @param {number} options.bitsPerSample - 16 or 24
+ * @param {string} options.dither - Resolved dither mode
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @returns {Object} {dither, bitsPerSample, rmsDbfs (full band), lowBand: {maxHz, rmsDbfs}}
+ */
+export function noiseFloor({ bitsPerSample, dither, sampleRate }) {
+  const step = 1 / (2 ** (bitsPerSample - 1) - 1);
+  const power = step * step * (dither === "none" ? 1 / 12 : 1 / 4);
+  // Share of the noise below LOW_BAND_MAX_HZ: flat spectrum, or white noise
+  // through 1 - z^-1 (|H|² = 2 - 2 cos w, mean 2 over 0..π)
+  const wc = Math.PI * Math.min(1, (2 * LOW_BAND_MAX_HZ) / sampleRate);
+  const [total, low] = dither === "shaped"
+    ? [2 * power, (power * 2 * (wc - Math.sin(wc))) / Math.PI]
+    : [power, (power * wc) / Math.PI];
+  const dbfs = (p) => Math.round(10 * Math.log10(p) * 10) / 10;
+  return { dither, bitsPerSample, rmsDbfs: dbfs(total), lowBand: { maxHz: LOW_BAND_MAX_HZ, rmsDbfs: dbfs(low) } };
+}
+
+/**
+ * Stateful float-to-integer converter for one file. Blocks must be passed
+ * in file order: the dither sequence and the shaping error carry over from
+ * one block to the next.
+ */
+export class Quantizer {
+  /**
+   * @param {Object} options
+   * @param {number} options.bitsPerSample - 16 or 24
+   * @param {number} options.numChannels - Interleaved channels (error feedback is per channel)
+   * @param {string} options.dither - Resolved dither mode
+   * @param {{random: Function}} options.rng - Seeded uniform [0, 1) generator for the dither
+   */
+  constructor({ bitsPerSample, numChannels, dither, rng }) {
+    this.fullScale = 2 ** (bitsPerSample - 1) - 1;
+    this.numChannels = numChannels;
+    this.dither = dither;
+    this.rng = rng;
+    this.error = new Float64Array(numChannels);
+  }
+
+  /**
+   * @param {Float32Array} floatSamples - Interleaved block, -1..1
+   * @returns {Int32Array} Interleaved integer samples
+   */
+  quantize(floatSamples) {
+    const { fullScale, numChannels, rng, error } = this;
+    const dithered = this.dither !== "none";
+    const shaped = this.dither === "shaped";
+    const out = new Int32Array(floatSamples.length);
+
+    for (let i = 0; i < floatSamples.length; i++) {
+      const c = i % numChannels;
+      let v = Math.max(-1, Math.min(1, floatSamples[i])) * fullScale;
+      if (shaped) v -= error[c];
+      // Difference of two uniform draws: triangular on (-1, 1) LSB
+      const s = Math.round(dithered ? v + rng.random() - rng.random() : v);
+      const clipped = Math.max(-fullScale - 1, Math.min(fullScale, s));
+      if (shaped) error[c] = Math.max(-MAX_SHAPING_ERROR, Math.min(MAX_SHAPING_ERROR, clipped - v));
+      out[i] = clipped;
+    }
+    return out;
+  }
+}
@@ -0,0 +1,597 @@
+/**
+ * Pure-JavaScript lossless FLAC encoder for generated therapy audio.
+ *
+ * Consumes the same quantised interleaved blocks that the WAV path hands to
+ * the PCM encoders (see dither.js), and writes fixed-size FLAC
+ * frames to a file descriptor (or any positional byte sink) as soon as enough
+ * samples are buffered, so a 60-minute file is never held in memory.
+ *
+ * Per channel and frame the encoder picks the cheapest of:
+ * - CONSTANT  (silent stretches, e.g. block ramps at zero)
+ * - FIXED     (polynomial predictors, order 0-4)
+ * - LPC       (Levinson-Durbin on a Tukey-windowed autocorrelation, order ≤ 12)
+ * - VERBATIM  (fallback when prediction does not pay off)
+ * Residuals are Rice coded with a searched partition order. Stereo frames
+ * also try left/side, right/side and mid/side decorrelation.
+ *
+ * Format reference: https://xiph.org/flac/format.html (streamable subset).
+ */
+
+import fs from "fs";
+import crypto from "crypto";
+
+const BLOCK_SIZE = 4096;
+const MAX_FIXED_ORDER = 4;
+const MAX_LPC_ORDER = 12;        // subset limit for sample rates ≤ 48 kHz
+const QLP_PRECISION = 15;        // quantised LPC coefficient precision (bits)
+const MAX_PARTITION_ORDER = 8;
+const MAX_RICE_PARAM = 24;
+
+// Frame header codes
+const SAMPLE_RATE_CODES = new Map([[44100, 0b1001], [48000, 0b1010], [96000, 0b1011]]);
+const SAMPLE_SIZE_CODES = new Map([[16, 0b100], [24, 0b110]]);
+const CHANNELS_LEFT_SIDE = 0b1000;
+const CHANNELS_RIGHT_SIDE = 0b1001;
+const CHANNELS_MID_SIDE = 0b1010;
+
+// ==================== CRC ====================
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+  let c8 = i;
+  let c16 = i << 8;
+  for (let b = 0; b < 8; b++) {
+    c8 = (c8 & 0x80) ? ((c8 << 1) ^ 0x07) : (c8 << 1);
+    c16 = (c16 & 0x8000) ? ((c16 << 1) ^ 0x8005) : (c16 << 1);
+  }
+  CRC8_TABLE[i] = c8 & 0xFF;
+  CRC16_TABLE[i] = c16 & 0xFFFF;
+}
+
+function crc8(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+  return crc;
+}
+
+function crc16(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = ((crc << 8) ^ CRC16_TABLE[(crc >>> 8) ^ bytes[i]]) & 0xFFFF;
+  return crc;
+}
+
+// ==================== Bit Writer ====================
+class BitWriter {
+  constructor(capacity = 1 << 16) {
+    this.bytes = new Uint8Array(capacity);
+    this.pos = 0;   // whole bytes written
+    this.acc = 0;   // pending bits (< 8)
+    this.bits = 0;  // number of pending bits
+  }
+  ensure(extraBytes) {
+    if (this.pos + extraBytes <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.pos + extraBytes));
+    grown.set(this.bytes.subarray(0, this.pos));
+    this.bytes = grown;
+  }
+  // Write the low n bits of value, 0 <= n <= 24
+  writeBits(value, n) {
+    if (n === 0) return;
+    this.ensure(4);
+    this.acc = (this.acc << n) | (value & ((1 << n) - 1));
+    this.bits += n;
+    while (this.bits >= 8) {
+      this.bits -= 8;
+      this.bytes[this.pos++] = (this.acc >>> this.bits) & 0xFF;
+    }
+    this.acc &= (1 << this.bits) - 1;
+  }
+  // Two's complement value in n bits, n <= 32
+  writeSigned(value, n) {
+    if (n > 24) {
+      this.writeBits(value >> 16, n - 16);
+      this.writeBits(value & 0xFFFF, 16);
+    } else {
+      this.writeBits(value, n);
+    }
+  }
+  writeUnary(q) {
+    while (q >= 24) {
+      this.writeBits(0, 24);
+      q -= 24;
+    }
+    this.writeBits(1, q + 1);
+  }
+  alignToByte() {
+    if (this.bits > 0) this.writeBits(0, 8 - this.bits);
+  }
+  bitLength() {
+    return this.pos * 8 + this.bits;
+  }
+  mark() {
+    return { pos: this.pos, acc: this.acc, bits: this.bits };
+  }
+  reset({ pos, acc, bits }) {
+    this.pos = pos;
+    this.acc = acc;
+    this.bits = bits;
+  }
+}
+
+// "UTF-8" style coded frame number (fixed blocking strategy)
+function writeUtf8Number(bw, value) {
+  if (value < 0x80) {
+    bw.writeBits(value, 8);
+    return;
+  }
+  let extra = value < 0x800 ? 1 : value < 0x10000 ? 2 : value < 0x200000 ? 3 : value < 0x4000000 ? 4 : 5;
+  const leadBits = 6 - extra;
+  const lead = ((0xFF << (7 - extra)) & 0xFF) | (value >>> (6 * extra)) & ((1 << leadBits) - 1);
+  bw.writeBits(lead, 8);
+  while (extra-- > 0) bw.writeBits(0x80 | ((value >>> (6 * extra)) & 0x3F), 8);
+}
+
+// ==================== Prediction ====================
+const tukeyWindows = new Map();
+
+function tukeyWindow(n) {
+  let w = tukeyWindows.get(n);
+  if (w) return w;
+  w = new Float64Array(n);
+  const taper = Math.floor(0.25 * n); // Tukey(0.5): cosine taper over a quarter at each end
+  for (let i = 0; i < n; i++) {
+    if (taper > 0 && i < taper) w[i] = 0.5 * (1 - Math.cos(Math.PI * i / taper));
+    else if (taper > 0 && i >= n - taper) w[i] = 0.5 * (1 - Math.cos(Math.PI * (n - 1 - i) / taper));
+    else w[i] = 1.0;
+  }
+  tukeyWindows.set(n, w);
+  return w;
+}
+
+function fixedResidual(x, n, order, out) {
+  for (let i = order; i < n; i++) {
+    switch (order) {
+      case 0: out[i] = x[i]; break;
+      case 1: out[i] = x[i] - x[i - 1]; break;
+      case 2: out[i] = x[i] - 2 * x[i - 1] + x[i - 2]; break;
+      case 3: out[i] = x[i] - 3 * x[i - 1] + 3 * x[i - 2] - x[i - 3]; break;
+      default: out[i] = x[i] - 4 * x[i - 1] + 6 * x[i - 2] - 4 * x[i - 3] + x[i - 4]; break;
+    }
+  }
+}
+
+// Cheapest fixed predictor by total absolute residual
+function bestFixedOrder(x, n) {
+  const maxOrder = Math.min(MAX_FIXED_ORDER, n - 1);
+  const totals = [0, 0, 0, 0, 0];
+  for (let i = MAX_FIXED_ORDER; i < n; i++) {
+    const e0 = x[i];
+    const e1 = e0 - x[i - 1];
+    const e2 = e1 - (x[i - 1] - x[i - 2]);
+    const e3 = e2 - (x[i - 1] - 2 * x[i - 2] + x[i - 3]);
+    const e4 = e3 - (x[i - 1] - 3 * x[i - 2] + 3 * x[i - 3] - x[i - 4]);
+    totals[0] += Math.abs(e0);
+    totals[1] += Math.abs(e1);
+    totals[2] += Math.abs(e2);
+    totals[3] += Math.abs(e3);
+    totals[4] += Math.abs(e4);
+  }
+  let best = 0;
+  for (let o = 1; o <= maxOrder; o++) {
+    if (totals[o] < totals[best]) best = o;
+  }
+  return best;
+}
+
+/**
+ * LPC analysis: windowed autocorrelation + Levinson-Durbin, order chosen by
+ * the expected residual bits, coefficients quantised with error feedback.
+ * Returns null when LPC is not applicable.
+ */
+function lpcAnalysis(x, n, bps) {
+  const maxOrder = Math.min(MAX_LPC_ORDER, n - 1);
+  if (maxOrder < 1) return null;
+
+  const w = tukeyWindow(n);
+  const xw = new Float64Array(n);
+  for (let i = 0; i < n; i++) xw[i] = x[i] * w[i];
+
+  const R = new Float64Array(maxOrder + 1);
+  for (let lag = 0; lag <= maxOrder; lag++) {
+    let sum = 0;
+    for (let i = lag; i < n; i++) sum += xw[i] * xw[i - lag];
+    R[lag] = sum;
+  }
+  if (R[0] <= 0) return null;
+
+  // Levinson-Durbin: coefficient sets and prediction error for each order
+  const coefSets = [];
+  const errors = [];
+  let a = new Float64Array(0);
+  let err = R[0];
+  for (let m = 1; m <= maxOrder; m++) {
+    let acc = R[m];
+    for (let j = 1; j < m; j++) acc -= a[j - 1] * R[m - j];
+    const k = acc / err;
+    const next = new Float64Array(m);
+    for (let j = 1; j < m; j++) next[j - 1] = a[j - 1] - k * a[m - j - 1];
+    next[m - 1] = k;
+    a = next;
+    err *= (1 - k * k);
+    coefSets.push(a);
+    errors.push(err);
+    if (err <= 0) break;
+  }
+
+  // Expected bits per residual sample (as in libFLAC's order estimate)
+  let bestOrder = 1;
+  let bestBits = Infinity;
+  for (let m = 1; m <= coefSets.length; m++) {
+    const e = errors[m - 1];
+    const perSample = e > 0 ? Math.max(0, 0.5 * Math.log2(0.5 * e / n)) : 0;
+    const bits = perSample * (n - m) + m * (bps + QLP_PRECISION);
+    if (bits < bestBits) {
+      bestBits = bits;
+      bestOrder = m;
+    }
+  }
+
+  const coefs = coefSets[bestOrder - 1];
+  let cmax = 0;
+  for (const c of coefs) cmax = Math.max(cmax, Math.abs(c));
+  if (cmax <= 0) return null;
+
+  let shift = (QLP_PRECISION - 1) - Math.floor(Math.log2(cmax)) - 1;
+  if (shift > 15) shift = 15;
+  if (shift < 0) return null;
+
+  const qMax = (1 << (QLP_PRECISION - 1)) - 1;
+  const qMin = -(1 << (QLP_PRECISION - 1));
+  const qlp = new Int32Array(bestOrder);
+  let carry = 0;
+  for (let j = 0; j < bestOrder; j++) {
+    carry += coefs[j] * (1 << shift);
+    const q = Math.max(qMin, Math.min(qMax, Math.round(carry)));
+    qlp[j] = q;
+    carry -= q;
+  }
+  return { order: bestOrder, qlp, shift };
+}
+
+// Residual of the quantised predictor; false if a residual overflows 31 bits
+function lpcResidual(x, n, { order, qlp, shift }, out) {
+  const div = 2 ** shift;
+  for (let i = order; i < n; i++) {
+    let sum = 0;
+    for (let j = 0; j < order; j++) sum += qlp[j] * x[i - 1 - j];
+    const r = x[i] - Math.floor(sum / div);
+    if (r > 0x3FFFFFFF || r < -0x40000000) return false;
+    out[i] = r;
+  }
+  return true;
+}
+
+// ==================== Rice Coding ====================
+function riceBits(count, sum, k) {
+  return count * (k + 1) + Math.floor(sum / 2 ** k);
+}
+
+function bestRiceParam(count, sum) {
+  let bestK = 0;
+  let bestBits = riceBits(count, sum, 0);
+  for (let k = 1; k <= MAX_RICE_PARAM; k++) {
+    const bits = riceBits(count, sum, k);
+    if (bits >= bestBits) break;
+    bestBits = bits;
+    bestK = k;
+  }
+  return { k: bestK, bits: bestBits };
+}
+
+/**
+ * Choose the Rice partition order and per-partition parameters for a residual.
+ * u holds zig-zag folded residuals (first `order` entries are warm-up, unused).
+ */
+function planResidual(u, n, order) {
+  let maxP = 0;
+  while (maxP < MAX_PARTITION_ORDER && (n % (1 << (maxP + 1))) === 0 && (n >> (maxP + 1)) > order) maxP++;
+
+  // Partition sums at the finest order, merged pairwise for coarser orders
+  let sums = new Float64Array(1 << maxP);
+  const len = n >> maxP;
+  for (let p = 0; p < sums.length; p++) {
+    let s = 0;
+    for (let i = Math.max(p * len, order); i < (p + 1) * len; i++) s += u[i];
+    sums[p] = s;
+  }
+
+  let best = null;
+  for (let p = maxP; p >= 0; p--) {
+    const partLen = n >> p;
+    const params = new Uint8Array(1 << p);
+    let bits = 0;
+    for (let i = 0; i < params.length; i++) {
+      const count = i === 0 ? partLen - order : partLen;
+      const { k, bits: b } = bestRiceParam(count, sums[i]);
+      params[i] = k;
+      bits += b;
+    }
+    const method = params.some((k) => k > 14) ? 1 : 0; // RICE2 for parameters > 14
+    bits += 2 + 4 + params.length * (method ? 5 : 4);
+    if (!best || bits < best.bits) best = { partitionOrder: p, params, method, bits };
+    if (p > 0) {
+      const merged = new Float64Array(sums.length / 2);
+      for (let i = 0; i < merged.length; i++) merged[i] = sums[2 * i] + sums[2 * i + 1];
+      sums = merged;
+    }
+  }
+  return best;
+}
+
+function foldResidual(residual, n, order) {
+  const u = new Uint32Array(n);
+  for (let i = order; i < n; i++) {
+    const r = residual[i];
+    u[i] = r >= 0 ? 2 * r : -2 * r - 1;
+  }
+  return u;
+}
+
+// ==================== Subframes ====================
+/**
+ * Pick the cheapest subframe encoding for one channel of a frame.
+ * @returns {Object} plan with estimated size in bits
+ */
+function planSubframe(x, n, bps) {
+  let constant = true;
+  for (let i = 1; i < n && constant; i++) constant = x[i] === x[0];
+  if (constant) return { type: "constant", bits: 8 + bps };
+
+  let best = { type: "verbatim", bits: 8 + n * bps };
+
+  const fixedOrder = bestFixedOrder(x, n);
+  const fixedRes = new Int32Array(n);
+  fixedResidual(x, n, fixedOrder, fixedRes);
+  const fixedU = foldResidual(fixedRes, n, fixedOrder);
+  const fixedRice = planResidual(fixedU, n, fixedOrder);
+  const fixedBits = 8 + fixedOrder * bps + fixedRice.bits;
+  if (fixedBits < best.bits) {
+    best = { type: "fixed", order: fixedOrder, u: fixedU, rice: fixedRice, bits: fixedBits };
+  }
+
+  const lpc = lpcAnalysis(x, n, bps);
+  if (lpc) {
+    const lpcRes = new Int32Array(n);
+    if (lpcResidual(x, n, lpc, lpcRes)) {
+      const lpcU = foldResidual(lpcRes, n, lpc.order);
+      const lpcRice = planResidual(lpcU, n, lpc.order);
+      const lpcBits = 8 + lpc.order * bps + 4 + 5 + lpc.order * QLP_PRECISION + lpcRice.bits;
+      if (lpcBits < best.bits) {
+        best = { type: "lpc", ...lpc, u: lpcU, rice: lpcRice, bits: lpcBits };
+      }
+    }
+  }
+  return best;
+}
+
+function writeResidual(bw, u, n, order, { partitionOrder, params, method }) {
+  bw.writeBits(method, 2);
+  bw.writeBits(partitionOrder, 4);
+  const partLen = n >> partitionOrder;
+  for (let p = 0; p < params.length; p++) {
+    const k = params[p];
+    bw.writeBits(k, method ? 5 : 4);
+    const mask = (1 << k) - 1;
+    for (let i = Math.max(p * partLen, order); i < (p + 1) * partLen; i++) {
+      bw.writeUnary(u[i] >>> k);
+      bw.writeBits(u[i] & mask, k);
+    }
+  }
+}
+
+function writeVerbatim(bw, x, n, bps) {
+  bw.writeBits(0b000001 << 1, 8);
+  for (let i = 0; i < n; i++) bw.writeSigned(x[i], bps);
+}
+
+function writeSubframe(bw, x, n, bps, plan) {
+  const start = bw.mark();
+  switch (plan.type) {
+    case "constant":
+      bw.writeBits(0b000000 << 1, 8);
+      bw.writeSigned(x[0], bps);
+      return;
+    case "fixed":
+      bw.writeBits((0b001000 | plan.order) << 1, 8);
+      for (let i = 0; i < plan.order; i++) bw.writeSigned(x[i], bps);
+      writeResidual(bw, plan.u, n, plan.order, plan.rice);
+      break;
+    case "lpc":
+      bw.writeBits((0b100000 | (plan.order - 1)) << 1, 8);
+      for (let i = 0; i < plan.order; i++) bw.writeSigned(x[i], bps);
+      bw.writeBits(QLP_PRECISION - 1, 4);
+      bw.writeBits(plan.shift, 5);
+      for (let j = 0; j < plan.order; j++) bw.writeSigned(plan.qlp[j], QLP_PRECISION);
+      writeResidual(bw, plan.u, n, plan.order, plan.rice);
+      break;
+    default:
+      writeVerbatim(bw, x, n, bps);
+      return;
+  }
+  // Rice size is estimated; never emit more than the verbatim encoding
+  if (bw.bitLength() - (start.pos * 8 + start.bits) > 8 + n * bps) {
+    bw.reset(start);
+    writeVerbatim(bw, x, n, bps);
+  }
+}
+
+// ==================== Encoder ====================
+/**
+ * Incremental FLAC file writer.
+ *
+ * Usage: new FlacEncoder(output, format); encoder.write(block) per interleaved
+ * integer block; encoder.finish() once to flush and patch STREAMINFO.
+ */
+export class FlacEncoder {
+  /**
+   * @param {number|{write: Function}} output - File descriptor opened for writing (empty file),
+   *   or a sink with write(bytes, position), e.g. an in-memory buffer
+   * @param {Object} format
+   * @param {number} format.sampleRate - 44100, 48000 or 96000
+   * @param {number} format.numChannels - 1 or 2
+   * @param {number} format.bitsPerSample - 16 or 24
+   */
+  constructor(output, { sampleRate, numChannels, bitsPerSample }) {
+    if (!SAMPLE_SIZE_CODES.has(bitsPerSample)) {
+      throw new RangeError(`FLAC output supports 16- or 24-bit samples, not ${bitsPerSample}`);
+    }
+    if (numChannels < 1 || numChannels > 8) {
+      throw new RangeError(`FLAC output supports 1-8 channels, not ${numChannels}`);
+    }
+    this.sink = typeof output === "number"
+      ? { write: (bytes, position) => fs.writeSync(output, bytes, 0, bytes.length, position) }
+      : output;
+    this.sampleRate = sampleRate;
+    this.numChannels = numChannels;
+    this.bitsPerSample = bitsPerSample;
+
+    this.pending = Array.from({ length: numChannels }, () => new Int32Array(BLOCK_SIZE));
+    this.pendingCount = 0;
+    this.frameNumber = 0;
+    this.totalSamples = 0;
+    this.minFrameBytes = Infinity;
+    this.maxFrameBytes = 0;
+    this.lastBlockSize = 0;
+    this.md5 = crypto.createHash("md5");
+    this.position = 0;
+
+    // Marker + placeholder STREAMINFO; patched in finish()
+    this.writeBytes(Buffer.from("fLaC", "ascii"));
+    this.writeBytes(this.buildStreamInfo());
+  }
+
+  writeBytes(bytes) {
+    this.sink.write(bytes, this.position);
+    this.position += bytes.length;
+  }
+
+  /**
+   * Append interleaved integer samples, already quantised to bitsPerSample
+   * as for the WAV writers.
+   * @param {Int32Array} intSamples
+   */
+  write(intSamples) {
+    const C = this.numChannels;
+    const frames = Math.floor(intSamples.length / C);
+    const bytesPerSample = this.bitsPerSample / 8;
+    const pcm = Buffer.alloc(frames * C * bytesPerSample);
+
+    for (let f = 0; f < frames; f++) {
+      for (let ch = 0; ch < C; ch++) {
+        const s = intSamples[f * C + ch];
+        this.pending[ch][this.pendingCount] = s;
+        pcm.writeIntLE(s, (f * C + ch) * bytesPerSample, bytesPerSample);
+      }
+      this.pendingCount++;
+      if (this.pendingCount === BLOCK_SIZE) this.flushFrame();
+    }
+    this.md5.update(pcm);
+  }
+
+  flushFrame() {
+    const n = this.pendingCount;
+    if (n === 0) return;
+    const bytes = this.encodeFrame(n);
+    this.writeBytes(bytes);
+    this.minFrameBytes = Math.min(this.minFrameBytes, bytes.length);
+    this.maxFrameBytes = Math.max(this.maxFrameBytes, bytes.length);
+    this.totalSamples += n;
+    this.lastBlockSize = n;
+    this.frameNumber++;
+    this.pendingCount = 0;
+  }
+
+  encodeFrame(n) {
+    const bps = this.bitsPerSample;
+    const channels = this.pending;
+
+    // Channel decorrelation for stereo: pick the cheapest of L/R, L/S, R/S, M/S
+    let assignment = this.numChannels - 1;
+    let signals = channels.map((x) => ({ x, bps, plan: planSubframe(x, n, bps) }));
+    if (this.numChannels === 2) {
+      const [L, R] = channels;
+      const side = new Int32Array(n);
+      const mid = new Int32Array(n);
+      for (let i = 0; i < n; i++) {
+        side[i] = L[i] - R[i];
+        mid[i] = (L[i] + R[i]) >> 1;
+      }
+      const S = { x: side, bps: bps + 1, plan: planSubframe(side, n, bps + 1) };
+      const M = { x: mid, bps, plan: planSubframe(mid, n, bps) };
+      const [l, r] = signals;
+      const options = [
+        { assignment: 1, signals: [l, r] },
+        { assignment: CHANNELS_LEFT_SIDE, signals: [l, S] },
+        { assignment: CHANNELS_RIGHT_SIDE, signals: [S, r] },
+        { assignment: CHANNELS_MID_SIDE, signals: [M, S] },
+      ];
+      let best = options[0];
+      const cost = (o) => o.signals[0].plan.bits + o.signals[1].plan.bits;
+      for (const o of options) if (cost(o) < cost(best)) best = o;
+      assignment = best.assignment;
+      signals = best.signals;
+    }
+
+    const bw = new BitWriter(n * this.numChannels * 4 + 64);
+
+    // Frame header
+    bw.writeBits(0x3FFE, 14);                 // sync code
+    bw.writeBits(0, 1);                       // reserved
+    bw.writeBits(0, 1);                       // fixed block size
+    bw.writeBits(0b0111, 4);                  // block size: 16-bit value at end of header
+    bw.writeBits(SAMPLE_RATE_CODES.get(this.sampleRate) ?? 0, 4);
+    bw.writeBits(assignment, 4);
+    bw.writeBits(SAMPLE_SIZE_CODES.get(bps), 3);
+    bw.writeBits(0, 1);                       // reserved
+    writeUtf8Number(bw, this.frameNumber);
+    bw.writeBits(n - 1, 16);
+    bw.writeBits(crc8(bw.bytes, 0, bw.pos), 8);
+
+    for (const s of signals) writeSubframe(bw, s.x, n, s.bps, s.plan);
+
+    bw.alignToByte();
+    bw.writeBits(crc16(bw.bytes, 0, bw.pos), 16);
+    return bw.bytes.subarray(0, bw.pos);
+  }
+
+  buildStreamInfo(md5 = Buffer.alloc(16)) {
+    const bw = new BitWriter(64);
+    bw.writeBits(0x80, 8);                    // last metadata block, type 0 (STREAMINFO)
+    bw.writeBits(34, 24);                     // block length
+    // A single short frame is both the minimum and maximum block size
+    const blockSize = this.frameNumber <= 1 && this.lastBlockSize > 0 ? this.lastBlockSize : BLOCK_SIZE;
+    bw.writeBits(blockSize, 16);
+    bw.writeBits(blockSize, 16);
+    bw.writeBits(Number.isFinite(this.minFrameBytes) ? this.minFrameBytes : 0, 24);
+    bw.writeBits(this.maxFrameBytes, 24);
+    bw.writeBits(this.sampleRate >>> 4, 16);  // 20-bit sample rate, split
+    bw.writeBits(this.sampleRate & 0xF, 4);
+    bw.writeBits(this.numChannels - 1, 3);
+    bw.writeBits(this.bitsPerSample - 1, 5);
+    bw.writeBits(Math.floor(this.totalSamples / 2 ** 32) & 0xF, 4); // 36-bit total samples
+    bw.writeBits(Math.floor(this.totalSamples / 2 ** 16) & 0xFFFF, 16);
+    bw.writeBits(this.totalSamples & 0xFFFF, 16);
+    const header = Buffer.from(bw.bytes.subarray(0, bw.pos));
+    return Buffer.concat([header, md5]);
+  }
+
+  /**
+   * Flush the final (possibly short) frame and patch STREAMINFO with the
+   * total sample count, frame sizes and MD5 of the decoded audio.
+   */
+  finish() {
+    this.flushFrame();
+    const info = this.buildStreamInfo(this.md5.digest());
+    this.sink.write(info, 4);
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Hearing-slope correction profiles for the therapy carrier.
+ *
+ * A profile is an audiogram (dB HL per audiometric frequency). It is turned
+ * into a per-harmonic gain curve that lifts the carrier components falling
+ * into regions of raised threshold, so that patients with sloping
+ * high-frequency loss still hear the modulated harmonics.
+ *
+ * Gain rule: gainDb(f) = compensation * (HL(f) - min HL), capped at maxGainDb.
+ * HL(f) is interpolated linearly on a log-frequency axis and held constant
+ * beyond the first/last audiogram point. compensation = 0.5 is the classic
+ * half-gain rule; absolute level is irrelevant because blocks are peak
+ * normalised afterwards, so only the shape of the curve matters.
+ */
+
+// Standard (and extended high-frequency) audiometric frequencies in Hz
+export const AUDIOMETRIC_FREQUENCIES = [250, 500, 1000, 2000, 3000, 4000, 6000, 8000, 10000, 12500, 16000];
+
+// Named slope presets (dB HL at AUDIOMETRIC_FREQUENCIES)
+export const HEARING_PROFILE_PRESETS = {
+  "flat":            [0,  0,  0,  0,  0,  0,  0,  0,  0,  0,  0],
+  "gentle-slope":    [10, 10, 10, 15, 20, 25, 30, 35, 40, 45, 50],
+  "moderate-slope":  [10, 10, 15, 25, 35, 40, 50, 55, 60, 65, 70],
+  "steep-slope":     [10, 10, 15, 30, 45, 55, 65, 70, 75, 80, 80],
+  "noise-notch":     [10, 10, 10, 15, 30, 45, 35, 25, 30, 35, 40],
+};
+
+const DEFAULT_COMPENSATION = 0.5; // half-gain rule
+const DEFAULT_MAX_GAIN_DB = 30;   // limit boost so a single region cannot dominate
+
+function presetAudiogram(name) {
+  const levels = HEARING_PROFILE_PRESETS[name];
+  if (!levels) {
+    throw new RangeError(`Unknown hearing profile preset: ${name}. Use one of: ${Object.keys(HEARING_PROFILE_PRESETS).join(", ")}`);
+  }
+  return AUDIOMETRIC_FREQUENCIES.map((hz, i) => ({ hz, dbHL: levels[i] }));
+}
+
+// Accepts { "1000": 20, ... } or [{ hz, dbHL }, ...]
+function normalizeAudiogram(audiogram) {
+  const points = Array.isArray(audiogram)
+    ? audiogram.map((p) => ({ hz: Number(p.hz), dbHL: Number(p.dbHL) }))
+    : Object.entries(audiogram).map(([hz, dbHL]) => ({ hz: Number(hz), dbHL: Number(dbHL) }));
+
+  if (points.length === 0) {
+    throw new RangeError("Audiogram must contain at least one frequency");
+  }
+  for (const p of points) {
+    if (!Number.isFinite(p.hz) || p.hz <= 0) {
+      throw new RangeError(`Invalid audiogram frequency: ${p.hz}`);
+    }
+    if (!Number.isFinite(p.dbHL) || p.dbHL < -20 || p.dbHL > 120) {
+      throw new RangeError(`Invalid audiogram level at ${p.hz} Hz: ${p.dbHL} dB HL (expected -20..120)`);
+    }
+  }
+  return points.sort((a, b) => a.hz - b.hz);
+}
+
+/**
+ * Resolve a hearing profile request into a normalised profile.
+ *
+ * @param {string|Object|null} hearingProfile - Preset name, or
+ *   { preset } / { audiogram }, with optional compensation and maxGainDb
+ * @returns {Object} {name, audiogram: [{hz, dbHL}], compensation, maxGainDb}
+ */
+export function resolveHearingProfile(hearingProfile) {
+  if (hearingProfile == null) {
+    return { name: "flat", audiogram: presetAudiogram("flat"), compensation: DEFAULT_COMPENSATION, maxGainDb: DEFAULT_MAX_GAIN_DB };
+  }
+  if (typeof hearingProfile === "string") {
+    return { name: hearingProfile, audiogram: presetAudiogram(hearingProfile), compensation: DEFAULT_COMPENSATION, maxGainDb: DEFAULT_MAX_GAIN_DB };
+  }
+  if (typeof hearingProfile !== "object") {
+    throw new RangeError("hearingProfile must be a preset name or an object");
+  }
+
+  const compensation = hearingProfile.compensation ?? DEFAULT_COMPENSATION;
+  const maxGainDb = hearingProfile.maxGainDb ?? DEFAULT_MAX_GAIN_DB;
+  if (!Number.isFinite(compensation) || compensation < 0 || compensation > 1) {
+    throw new RangeError(`Invalid hearing profile compensation: ${compensation} (expected 0..1)`);
+  }
+  if (!Number.isFinite(maxGainDb) || maxGainDb < 0 || maxGainDb > 60) {
+    throw new RangeError(`Invalid hearing profile maxGainDb: ${maxGainDb} (expected 0..60)`);
+  }
+
+  if (hearingProfile.audiogram) {
+    return { name: "audiogram", audiogram: normalizeAudiogram(hearingProfile.audiogram), compensation, maxGainDb };
+  }
+  if (hearingProfile.preset) {
+    return { name: hearingProfile.preset, audiogram: presetAudiogram(hearingProfile.preset), compensation, maxGainDb };
+  }
+  throw new RangeError("hearingProfile object needs either 'preset' or 'audiogram'");
+}
+
+function interpolateHL(audiogram, hz) {
+  const first = audiogram[0];
+  const last = audiogram[audiogram.length - 1];
+  if (hz <= first.hz) return first.dbHL;
+  if (hz >= last.hz) return last.dbHL;
+  for (let k = 1; k < audiogram.length; k++) {
+    const a = audiogram[k - 1];
+    const b = audiogram[k];
+    if (hz <= b.hz) {
+      // Linear in log-frequency (octave) domain
+      const x = Math.log(hz / a.hz) / Math.log(b.hz / a.hz);
+      return a.dbHL + x * (b.dbHL - a.dbHL);
+    }
+  }
+  return last.dbHL;
+}
+
+/**
+ * Build the per-harmonic gain function for a resolved profile.
+ *
+ * @param {Object} profile - Result of resolveHearingProfile()
+ * @returns {Function|null} (hz) => linear amplitude, or null for a flat profile
+ */
+export function buildHarmonicGain(profile) {
+  const { audiogram, compensation, maxGainDb } = profile;
+  const minHL = Math.min(...audiogram.map((p) => p.dbHL));
+  const isFlat = audiogram.every((p) => p.dbHL === minHL);
+  if (isFlat || compensation === 0 || maxGainDb === 0) return null;
+
+  return (hz) => {
+    const gainDb = Math.min(maxGainDb, compensation * (interpolateHL(audiogram, hz) - minHL));
+    return Math.pow(10, gainDb / 20);
+  };
+}
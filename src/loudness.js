@@ -0,0 +1,473 @@
+/**
+ * Loudness measurement, block level normalisation and true-peak limiting.
+ *
+ * The paper scales every block so that its own peak reaches targetPeak
+ * ("peak" mode). Because f0 and the harmonic count change per block, that
+ * makes perceived loudness jump from block to block. The "rms" and "lufs"
+ * modes instead give every block the same level, unweighted RMS in dBFS or
+ * ITU-R BS.1770 K-weighted loudness in LUFS, and follow it with a
+ * look-ahead true-peak limiter.
+ *
+ * Conventions:
+ * - RMS is the mean square over all samples of all channels; a full-scale
+ *   sine reads -3.01 dBFS.
+ * - Loudness follows BS.1770-4: K-weighting (pre-filter + RLB high-pass),
+ *   channel powers summed with weight 1 (mono/stereo), integrated loudness
+ *   gated over 400 ms blocks with 75 % overlap (absolute -70 LUFS,
+ *   relative -10 LU).
+ * - True peak uses 4x oversampling (BS.1770-4 Annex 2 style) with a
+ *   Kaiser-windowed sinc interpolator. It is the costly part of metering and
+ *   splits exactly into stretches (see stretchTruePeak), so the generator
+ *   scans each block on its worker thread.
+ *
+ * The mode list and level ranges are shared with the Advanced UI, so this
+ * module must stay free of Node-only imports.
+ */
+
+export const NORMALIZATION_MODES = ["peak", "rms", "lufs"];
+
+// Default and legal targets per mode; peak mode keeps the paper's targetPeak
+export const LEVEL_SPECS = {
+  rms:  { default: -20, min: -60, max: -3, unit: "dBFS" },
+  lufs: { default: -23, min: -60, max: -5, unit: "LUFS" },
+};
+export const DEFAULT_TRUE_PEAK_DB = -1;
+export const TRUE_PEAK_RANGE = { min: -20, max: 0 };
+
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+const LIMITER_LOOKAHEAD_SEC = 0.0015;
+const LIMITER_RELEASE_SEC = 0.05;
+
+/**
+ * Validate the normalisation options.
+ *
+ * @param {Object} options
+ * @param {string} options.normalization - "peak" (paper default), "rms" or "lufs"
+ * @param {number|null} options.targetLevel - Block level in dBFS (rms) or LUFS (lufs); null for the default
+ * @param {number|null} options.truePeakDb - Limiter ceiling in dBTP; null for the default (-1)
+ * @returns {Object} {mode, targetLevel, unit, truePeakDb}; level fields are null in peak mode
+ * @throws {RangeError} On an unknown mode or out-of-range level
+ */
+export function resolveNormalization({ normalization = "peak", targetLevel = null, truePeakDb = null } = {}) {
+  if (!NORMALIZATION_MODES.includes(normalization)) {
+    throw new RangeError(`Invalid normalization: ${normalization} (expected one of ${NORMALIZATION_MODES.join(", ")})`);
+  }
+  if (normalization === "peak") {
+    return { mode: "peak", targetLevel: null, unit: null, truePeakDb: null };
+  }
+
+  const spec = LEVEL_SPECS[normalization];
+  const level = targetLevel ?? spec.default;
+  if (!Number.isFinite(level) || level < spec.min || level > spec.max) {
+    throw new RangeError(`Invalid targetLevel: ${targetLevel} (expected ${spec.min}..${spec.max} ${spec.unit})`);
+  }
+  const ceiling = truePeakDb ?? DEFAULT_TRUE_PEAK_DB;
+  if (!Number.isFinite(ceiling) || ceiling < TRUE_PEAK_RANGE.min || ceiling > TRUE_PEAK_RANGE.max) {
+    throw new RangeError(`Invalid truePeakDb: ${truePeakDb} (expected ${TRUE_PEAK_RANGE.min}..${TRUE_PEAK_RANGE.max} dBTP)`);
+  }
+  return { mode: normalization, targetLevel: level, unit: spec.unit, truePeakDb: ceiling };
+}
+
+// ==================== K-weighting ====================
+// Biquad coefficients for any sample rate (same analogue prototypes as the
+// 48 kHz tables in BS.1770-4)
+function kWeightingFilters(sampleRate) {
+  // Stage 1: high-shelf pre-filter (head effects)
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0,
+  };
+
+  // Stage 2: RLB high-pass
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0,
+  };
+
+  return [shelf, highPass];
+}
+
+// Direct form I state per channel and stage
+function createFilterState(numChannels) {
+  return Array.from({ length: numChannels }, () => [new Float64Array(4), new Float64Array(4)]);
+}
+
+function biquad(f, s, x) {
+  const y = f.b0 * x + f.b1 * s[0] + f.b2 * s[1] - f.a1 * s[2] - f.a2 * s[3];
+  s[1] = s[0]; s[0] = x;
+  s[3] = s[2]; s[2] = y;
+  return y;
+}
+
+function toDb(power) {
+  return power > 0 ? 10 * Math.log10(power) : -Infinity;
+}
+
+/**
+ * Level of a block: RMS in dBFS or ungated K-weighted loudness in LUFS.
+ *
+ * @param {Float32Array[]} channels - Per-channel samples
+ * @param {Object} options
+ * @param {string} options.mode - "rms" or "lufs"
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @returns {number} Level in dBFS or LUFS
+ */
+export function measureBlockLevel(channels, { mode, sampleRate }) {
+  const N = channels[0].length;
+  let sum = 0;
+  if (mode === "rms") {
+    for (const ch of channels) {
+      for (let i = 0; i < N; i++) sum += ch[i] * ch[i];
+    }
+    return toDb(sum / (N * channels.length));
+  }
+
+  const [shelf, highPass] = kWeightingFilters(sampleRate);
+  for (const ch of channels) {
+    const s1 = new Float64Array(4);
+    const s2 = new Float64Array(4);
+    for (let i = 0; i < N; i++) {
+      const y = biquad(highPass, s2, biquad(shelf, s1, ch[i]));
+      sum += y * y;
+    }
+  }
+  return -0.691 + toDb(sum / N);
+}
+
+/**
+ * Level of a periodically repeated gain envelope relative to a constant
+ * signal, in dB. For "rms" this is the mean squared gain; for "lufs" the
+ * envelope's power profile goes through the same 400 ms gating as integrated
+ * loudness (the relative gate drops ramp troughs), so a plateau level of
+ * target - envelopeLevelDb gives an integrated loudness of target.
+ *
+ * @param {Float64Array} envelope - Gain per sample over one period (one block)
+ * @param {Object} options
+ * @param {string} options.mode - "rms" or "lufs"
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @returns {number} Level change in dB (≤ 0)
+ */
+export function envelopeLevelDb(envelope, { mode, sampleRate }) {
+  const N = envelope.length;
+  if (mode === "rms") {
+    let sum = 0;
+    for (let i = 0; i < N; i++) sum += envelope[i] * envelope[i];
+    return toDb(sum / N);
+  }
+
+  // Gate 100 ms segments over enough periods to cover at least a minute
+  const segmentLength = Math.round(0.1 * sampleRate);
+  const periods = Math.max(2, Math.ceil((60 * sampleRate) / N));
+  const segments = [];
+  let sum = 0;
+  let fill = 0;
+  for (let k = 0; k < periods * N; k++) {
+    const g = envelope[k % N];
+    sum += g * g;
+    if (++fill === segmentLength) {
+      segments.push(sum / segmentLength);
+      sum = 0;
+      fill = 0;
+    }
+  }
+  const blocks = [];
+  for (let k = 0; k + 4 <= segments.length; k++) {
+    blocks.push((segments[k] + segments[k + 1] + segments[k + 2] + segments[k + 3]) / 4);
+  }
+  const mean = (values) => values.reduce((s, v) => s + v, 0) / values.length;
+  const relativeGate = mean(blocks) * Math.pow(10, RELATIVE_GATE_LU / 10);
+  return toDb(mean(blocks.filter((z) => z > relativeGate)));
+}
+
+// ==================== True Peak ====================
+// 4x oversampling: three fractional phases between each pair of samples,
+// 12 taps each (x[i-5] .. x[i+6]), Kaiser-windowed sinc normalised to unity DC gain
+const OVERSAMPLE = 4;
+const TP_HALF_TAPS = 6;
+const TP_PHASES = buildInterpolationPhases();
+// Interpolated values cannot exceed sample peak × this bound
+const TP_OVERSHOOT_BOUND = Math.max(...TP_PHASES.map((taps) => taps.reduce((s, t) => s + Math.abs(t), 0)));
+
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 32; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+  }
+  return sum;
+}
+
+function buildInterpolationPhases() {
+  const beta = 5;
+  const phases = [];
+  for (let p = 1; p < OVERSAMPLE; p++) {
+    const tau = p / OVERSAMPLE;
+    const taps = new Float64Array(2 * TP_HALF_TAPS);
+    let sum = 0;
+    for (let j = 0; j < taps.length; j++) {
+      const x = tau - (j - (TP_HALF_TAPS - 1)); // tap offset -5..6
+      const r = x / TP_HALF_TAPS;
+      const window = besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / besselI0(beta);
+      taps[j] = window * Math.sin(Math.PI * x) / (Math.PI * x);
+      sum += taps[j];
+    }
+    for (let j = 0; j < taps.length; j++) taps[j] /= sum;
+    phases.push(taps);
+  }
+  return phases;
+}
+
+// Largest absolute value of the oversampled signal on [x[i], x[i+1]),
+// reading x as zero outside its bounds
+function truePeakAt(x, i) {
+  let peak = Math.abs(x[i]);
+  for (const taps of TP_PHASES) {
+    let y = 0;
+    for (let j = 0; j < taps.length; j++) {
+      const k = i + j - (TP_HALF_TAPS - 1);
+      if (k >= 0 && k < x.length) y += taps[j] * x[k];
+    }
+    const a = Math.abs(y);
+    if (a > peak) peak = a;
+  }
+  return peak;
+}
+
+/**
+ * Look-ahead true-peak limiter, applied to all channels jointly (in place).
+ *
+ * The required gain min(1, ceiling / truePeak) is min-held over the
+ * look-ahead window, released exponentially and box-smoothed over the same
+ * window, so the applied gain never exceeds the required gain at any sample.
+ * Blocks start and end on ramps, so the limiter keeps no state between them.
+ *
+ * @param {Float32Array[]} channels - Per-channel samples
+ * @param {Object} options
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @param {number} options.ceilingDb - Ceiling in dBTP
+ * @returns {number} Maximum gain reduction in dB (0 when the limiter was idle)
+ */
+export function limitTruePeak(channels, { sampleRate, ceilingDb }) {
+  const ceiling = Math.pow(10, ceilingDb / 20);
+  const N = channels[0].length;
+
+  let samplePeak = 0;
+  for (const ch of channels) {
+    for (let i = 0; i < N; i++) {
+      const a = Math.abs(ch[i]);
+      if (a > samplePeak) samplePeak = a;
+    }
+  }
+  if (samplePeak * TP_OVERSHOOT_BOUND <= ceiling) return 0;
+
+  const required = new Float64Array(N).fill(1);
+  for (const ch of channels) {
+    for (let i = 0; i < N; i++) {
+      const tp = truePeakAt(ch, i);
+      if (tp * required[i] > ceiling) required[i] = ceiling / tp;
+    }
+  }
+
+  const L = Math.max(1, Math.round(LIMITER_LOOKAHEAD_SEC * sampleRate));
+  const release = 1 - Math.exp(-1 / (LIMITER_RELEASE_SEC * sampleRate));
+
+  // held[j + L - 1] = min(required[j .. j + L - 1]) for j = -(L - 1) .. N - 1,
+  // via a monotonic deque sliding from the end
+  const held = new Float64Array(N + L - 1);
+  const deque = new Int32Array(N);
+  let head = 0;
+  let tail = 0;
+  for (let j = N - 1; j > -L; j--) {
+    if (j >= 0) {
+      while (tail > head && required[deque[tail - 1]] >= required[j]) tail--;
+      deque[tail++] = j;
+    }
+    while (deque[head] > j + L - 1) head++;
+    held[j + L - 1] = required[deque[head]];
+  }
+
+  // Release: the envelope may rise no faster than the release time constant
+  let envelope = 1;
+  for (let k = 0; k < held.length; k++) {
+    envelope = Math.min(held[k], envelope + (1 - envelope) * release);
+    held[k] = envelope;
+  }
+
+  // Box smoothing: every window held[j], j in [i - L + 1, i], covers sample i,
+  // so the mean cannot exceed required[i]
+  let minGain = 1;
+  let acc = 0;
+  for (let k = 0; k < L - 1; k++) acc += held[k];
+  for (let i = 0; i < N; i++) {
+    acc += held[i + L - 1];
+    const gain = acc / L;
+    acc -= held[i];
+    if (gain < minGain) minGain = gain;
+    for (const ch of channels) ch[i] *= gain;
+  }
+  return -20 * Math.log10(minGain);
+}
+
+/**
+ * True peak of a stretch of a file, over the positions whose interpolation
+ * window lies inside it. LoudnessMeter covers the positions across the edges
+ * of its pushes itself, so a stretch can be scanned anywhere (on a block
+ * worker) and merged with LoudnessMeter.addTruePeak.
+ *
+ * @param {Float32Array} samples - Interleaved frames
+ * @param {number} numChannels - Interleaved channel count
+ * @returns {number} Linear true peak (0 when the stretch is shorter than one window)
+ */
+export function stretchTruePeak(samples, numChannels) {
+  const frames = samples.length / numChannels;
+  const channel = new Float32Array(frames);
+  let peak = 0;
+  for (let ch = 0; ch < numChannels; ch++) {
+    for (let i = 0; i < frames; i++) channel[i] = samples[i * numChannels + ch];
+    for (let i = TP_HALF_TAPS - 1; i < frames - TP_HALF_TAPS; i++) {
+      const tp = truePeakAt(channel, i);
+      if (tp > peak) peak = tp;
+    }
+  }
+  return peak;
+}
+
+// ==================== File Meter ====================
+/**
+ * Streaming meter for a whole file: integrated loudness (gated), RMS,
+ * sample peak and true peak.
+ */
+export class LoudnessMeter {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate - Sample rate in Hz
+   * @param {number} options.numChannels - Interleaved channel count
+   */
+  constructor({ sampleRate, numChannels }) {
+    this.numChannels = numChannels;
+    this.filters = kWeightingFilters(sampleRate);
+    this.state = createFilterState(numChannels);
+    this.segmentLength = Math.round(0.1 * sampleRate); // 100 ms gating hop
+    this.segmentFill = 0;
+    this.segmentSum = 0;
+    this.segments = []; // Mean K-weighted power (channels summed) per 100 ms
+    this.squareSum = 0;
+    this.frames = 0;
+    this.samplePeak = 0;
+    this.truePeak = 0;
+    // Last 2 · TP_HALF_TAPS - 1 samples per channel; interpolation needs
+    // TP_HALF_TAPS samples ahead, so the newest ones are evaluated next push
+    this.tails = Array.from({ length: numChannels }, () => new Float32Array(2 * TP_HALF_TAPS - 1));
+  }
+
+  /**
+   * Add interleaved samples.
+   * @param {Float32Array} samples - Interleaved frames
+   * @param {Object} options
+   * @param {boolean} options.scanInterior - Also scan the true peak inside the samples; false
+   *   when stretchTruePeak() scans them elsewhere and its result goes to addTruePeak()
+   */
+  push(samples, { scanInterior = true } = {}) {
+    const C = this.numChannels;
+    const frames = samples.length / C;
+    const [shelf, highPass] = this.filters;
+    const power = new Float64Array(frames);
+
+    for (let ch = 0; ch < C; ch++) {
+      const tail = this.tails[ch];
+      const joined = new Float32Array(tail.length + frames);
+      joined.set(tail);
+      const [s1, s2] = this.state[ch];
+
+      for (let i = 0; i < frames; i++) {
+        const v = samples[i * C + ch];
+        joined[tail.length + i] = v;
+        this.squareSum += v * v;
+        const a = Math.abs(v);
+        if (a > this.samplePeak) this.samplePeak = a;
+        const y = biquad(highPass, s2, biquad(shelf, s1, v));
+        power[i] += y * y;
+      }
+
+      // Without the interior only the windows reaching into the tail are left
+      const end = joined.length - TP_HALF_TAPS;
+      this.scanTruePeak(joined, scanInterior ? end : Math.min(end, tail.length + TP_HALF_TAPS - 1));
+      this.tails[ch] = joined.slice(joined.length - tail.length);
+    }
+
+    for (let i = 0; i < frames; i++) {
+      this.segmentSum += power[i];
+      if (++this.segmentFill === this.segmentLength) {
+        this.segments.push(this.segmentSum / this.segmentLength);
+        this.segmentSum = 0;
+        this.segmentFill = 0;
+      }
+    }
+    this.frames += frames;
+  }
+
+  // Positions before TP_HALF_TAPS - 1 were scanned by the previous push
+  scanTruePeak(joined, end) {
+    for (let i = TP_HALF_TAPS - 1; i < end; i++) {
+      const tp = truePeakAt(joined, i);
+      if (tp > this.truePeak) this.truePeak = tp;
+    }
+  }
+
+  /**
+   * Merge the true peak of pushed samples scanned elsewhere.
+   * @param {number} peak - Result of stretchTruePeak() for samples pushed without scanInterior
+   */
+  addTruePeak(peak) {
+    if (peak > this.truePeak) this.truePeak = peak;
+  }
+
+  /**
+   * @returns {Object} {integratedLufs, rmsDbfs, samplePeakDbfs, truePeakDbtp},
+   *   rounded to 0.01 dB; integratedLufs is null for files shorter than 400 ms
+   */
+  result() {
+    // Flush the last samples' interpolated peaks (signal ends in silence)
+    for (const tail of this.tails) this.scanTruePeak(tail, tail.length);
+
+    // 400 ms gating blocks = 4 consecutive 100 ms segments (75 % overlap)
+    const blocks = [];
+    for (let k = 0; k + 4 <= this.segments.length; k++) {
+      blocks.push((this.segments[k] + this.segments[k + 1] + this.segments[k + 2] + this.segments[k + 3]) / 4);
+    }
+    const loudness = (z) => -0.691 + toDb(z);
+    const mean = (values) => values.reduce((s, v) => s + v, 0) / values.length;
+
+    let integrated = null;
+    const aboveAbsolute = blocks.filter((z) => loudness(z) > ABSOLUTE_GATE_LUFS);
+    if (aboveAbsolute.length > 0) {
+      const relativeGate = loudness(mean(aboveAbsolute)) + RELATIVE_GATE_LU;
+      integrated = loudness(mean(aboveAbsolute.filter((z) => loudness(z) > relativeGate)));
+    }
+
+    const round = (db) => (Number.isFinite(db) ? Math.round(db * 100) / 100 : null);
+    return {
+      integratedLufs: round(integrated),
+      rmsDbfs: round(toDb(this.squareSum / Math.max(1, this.frames * this.numChannels))),
+      samplePeakDbfs: round(20 * Math.log10(this.samplePeak)),
+      truePeakDbtp: round(20 * Math.log10(this.truePeak)),
+    };
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Modulation and carrier parameters for the sound generator.
+ *
+ * Single source of truth for the paper defaults, their legal ranges and the
+ * named expert presets. Shared by the generator (server) and the Advanced UI,
+ * so this module must stay free of Node-only imports.
+ */
+
+// Paper defaults and legal ranges (inclusive)
+export const PARAMETER_SPECS = {
+  d:            { default: 1.0,   min: 0,    max: 1,     unit: "",         label: "Modulation depth d (Eq 2, 3)" },
+  omega:        { default: 1.0,   min: 0,    max: 8,     unit: "Hz",       label: "Temporal modulation rate ω (Eq 2, 3)" },
+  mu:           { default: 4.5,   min: 0,    max: 12,    unit: "cyc/oct",  label: "Mean SMR μ (Eq 5)" },
+  r:            { default: 3.0,   min: 0,    max: 12,    unit: "cyc/oct",  label: "SMR variability r (Eq 5)" },
+  nu:           { default: 0.125, min: 0,    max: 2,     unit: "Hz",       label: "SMR rate ν (Eq 5)" },
+  f0MinHz:      { default: 96,    min: 20,   max: 1000,  unit: "Hz",       label: "Lowest random f0" },
+  f0MaxHz:      { default: 256,   min: 20,   max: 1000,  unit: "Hz",       label: "Highest random f0" },
+  carrierMinHz: { default: 1000,  min: 100,  max: 20000, unit: "Hz",       label: "Carrier lower limit" },
+  carrierMaxHz: { default: 16000, min: 100,  max: 20000, unit: "Hz",       label: "Carrier upper limit" },
+  jitter:       { default: 0.25,  min: 0,    max: 0.5,   unit: "× f0",     label: "Component jitter (jittered carrier)" },
+  glideOct:     { default: 0.5,   min: -2,   max: 2,     unit: "oct",      label: "f0 glide per block (glide carrier)" },
+  rippleDensity:{ default: 24,    min: 4,    max: 100,   unit: "tones/oct", label: "Tone density (ripple carrier)" },
+  notchWidthOct:{ default: 1,     min: 0.25, max: 2,     unit: "oct",      label: "Notch width (notched mode)" },
+  notchDepthDb: { default: 60,    min: 3,    max: 120,   unit: "dB",       label: "Notch depth (notched mode)" },
+  blockSec:     { default: 4,     min: 0.5,  max: 60,    unit: "s",        label: "Block duration" },
+  blockSecMin:  { default: 3,     min: 0.5,  max: 60,    unit: "s",        label: "Shortest block (random durations)" },
+  blockSecMax:  { default: 6,     min: 0.5,  max: 60,    unit: "s",        label: "Longest block (random durations)" },
+  rampSec:      { default: 1,     min: 0,    max: 30,    unit: "s",        label: "Ramp duration (each end)" },
+  targetPeak:   { default: 0.80,  min: 0.01, max: 1,     unit: "",         label: "Block peak level" },
+};
+
+// Therapy modes: the paper's de-correlating modulation, applied to the phase
+// (Eq 3) or the amplitude (Eq 2) of the in-band components, or "notched":
+// an unmodulated carrier with a spectral notch around the tinnitus match
+// (not the study protocol)
+export const THERAPY_MODES = {
+  phase: "Phase Modulation (Recommended)",
+  amplitude: "Amplitude Modulation",
+  notched: "Notched (no modulation)",
+};
+
+// Carrier of the notched mode: broadband noise across the carrier range, or
+// the components of carrierType
+export const NOTCH_CARRIERS = {
+  noise: "Broadband noise",
+  harmonic: "Harmonic complex (carrier type)",
+};
+
+// Carrier types (the paper uses "harmonic"); jitter, glideOct and
+// rippleDensity only apply to their own type
+export const CARRIER_TYPES = {
+  harmonic: "Harmonic complex (paper)",
+  jittered: "Inharmonic (jittered) complex",
+  glide: "Harmonic complex with f0 glide",
+  ripple: "Ripple-noise tone cloud",
+};
+
+// Block durations: the paper repeats blockSec; "uniform" draws every block
+// length from blockSecMin..blockSecMax, so the rhythm does not repeat
+export const BLOCK_DURATIONS = {
+  fixed: "Fixed (paper)",
+  uniform: "Random (uniform)",
+};
+
+// Ramp shapes at each end of a block; "hann" spans the whole block and
+// ignores rampSec
+export const RAMP_SHAPES = {
+  raisedCosine: "Raised cosine (paper)",
+  hann: "Hann (whole block)",
+  linear: "Linear",
+  equalPower: "Equal-power (sine)",
+};
+
+// Block envelopes: the paper ramps every block in and out of silence;
+// "overlapAdd" crossfades consecutive blocks instead (not the study protocol)
+export const BLOCK_ENVELOPES = {
+  paper: "Ramped blocks (paper)",
+  overlapAdd: "Continuous (overlap-add crossfades)",
+};
+
+// Handling of carrier components above a measured upper audible limit:
+// "truncate" drops them, "rolloff" also fades the half octave below the
+// limit so the carrier has no sharp spectral edge
+export const UPPER_LIMIT_MODES = {
+  truncate: "Truncate at the limit",
+  rolloff: "Roll off (½ octave below the limit)",
+};
+
+export const PARAMETER_NAMES = Object.keys(PARAMETER_SPECS);
+
+export const PAPER_DEFAULTS = Object.fromEntries(
+  PARAMETER_NAMES.map((name) => [name, PARAMETER_SPECS[name].default])
+);
+
+// Named presets for exploring variants; each overrides the paper defaults
+export const EXPERT_PRESETS = [
+  { id: "paper", name: "Paper default", params: {} },
+  { id: "gentle-depth", name: "Gentle depth", params: { d: 0.5 } },
+  { id: "slow-smr", name: "Slow SMR", params: { nu: 0.0625, r: 2.0 } },
+  { id: "slow-temporal", name: "Slow temporal rate", params: { omega: 0.5 } },
+  { id: "long-blocks", name: "Long blocks", params: { blockSec: 8, rampSec: 2 } },
+];
+
+/**
+ * Merge overrides onto the paper defaults and validate the result.
+ *
+ * @param {Object} overrides - Any subset of PARAMETER_SPECS keys; null/undefined values are ignored
+ * @param {Object} options
+ * @param {number} options.sampleRate - Output sample rate, bounds carrierMaxHz by Nyquist
+ * @returns {Object} Complete parameter set
+ * @throws {RangeError} If a value is not finite, out of range, or inconsistent
+ */
+export function resolveModulationParameters(overrides = {}, { sampleRate = 44100 } = {}) {
+  const params = { ...PAPER_DEFAULTS };
+
+  for (const name of PARAMETER_NAMES) {
+    const value = overrides[name];
+    if (value === undefined || value === null) continue;
+    const spec = PARAMETER_SPECS[name];
+    const x = Number(value);
+    if (!Number.isFinite(x) || x < spec.min || x > spec.max) {
+      throw new RangeError(`Invalid ${name}: ${value} (expected ${spec.min}..${spec.max})`);
+    }
+    params[name] = x;
+  }
+
+  if (params.f0MinHz > params.f0MaxHz) {
+    throw new RangeError(`f0MinHz (${params.f0MinHz}) must not exceed f0MaxHz (${params.f0MaxHz})`);
+  }
+  if (params.carrierMinHz >= params.carrierMaxHz) {
+    throw new RangeError(`carrierMinHz (${params.carrierMinHz}) must be below carrierMaxHz (${params.carrierMaxHz})`);
+  }
+  if (params.carrierMaxHz >= sampleRate / 2) {
+    throw new RangeError(`carrierMaxHz (${params.carrierMaxHz}) must be below Nyquist (${sampleRate / 2} Hz)`);
+  }
+  if (params.f0MaxHz > params.carrierMaxHz) {
+    throw new RangeError(`f0MaxHz (${params.f0MaxHz}) must not exceed carrierMaxHz (${params.carrierMaxHz})`);
+  }
+  if (params.blockSecMin > params.blockSecMax) {
+    throw new RangeError(`blockSecMin (${params.blockSecMin}) must not exceed blockSecMax (${params.blockSecMax})`);
+  }
+  if (2 * params.rampSec > params.blockSec) {
+    throw new RangeError(`rampSec (${params.rampSec}) must be at most half of blockSec (${params.blockSec})`);
+  }
+
+  return params;
+}
@@ -0,0 +1,112 @@
+/**
+ * Broadband noise carrier for the notched mode.
+ *
+ * A block of noise is built in the frequency domain: every FFT bin inside the
+ * carrier range gets a complex Gaussian value (random phase, Rayleigh
+ * magnitude) scaled by a per-frequency gain, and one inverse FFT turns the
+ * spectrum into Gaussian noise with exactly that spectral shape. The same
+ * gain chain as for the harmonic carrier (hearing-slope correction, spectral
+ * weighting, upper-limit roll-off) is applied per bin, with the notch
+ * attenuation multiplied in, so the notch edges are as sharp as the bin
+ * spacing (fs / FFT size, well under 1 Hz for 4 s blocks).
+ *
+ * Draws come only from the block generator, so a block seed gives the same
+ * noise in every channel and every run.
+ */
+
+/**
+ * Synthesise one block of shaped Gaussian noise.
+ *
+ * @param {number} N - Block length in samples
+ * @param {number} fsHz - Sample rate in Hz
+ * @param {{uniform: Function}} rng - Block random number generator
+ * @param {Object} carrier
+ * @param {number} carrier.carrierMinHz - Lowest noise frequency in Hz
+ * @param {number} carrier.carrierMaxHz - Highest noise frequency in Hz
+ * @param {Function} gainAt - (hz) => linear amplitude of the bin at hz
+ * @returns {Float64Array} N samples (unnormalised)
+ */
+export function synthesizeNoise(N, fsHz, rng, { carrierMinHz, carrierMaxHz }, gainAt) {
+  let M = 1;
+  while (M < N) M *= 2;
+  const re = new Float64Array(M);
+  const im = new Float64Array(M);
+  const binHz = fsHz / M;
+  const kMin = Math.max(1, Math.ceil(carrierMinHz / binHz));
+  const kMax = Math.min(M / 2 - 1, Math.floor(carrierMaxHz / binHz));
+
+  for (let k = kMin; k <= kMax; k++) {
+    // Box-Muller: two independent standard normal draws
+    const radius = Math.sqrt(-2 * Math.log(1 - rng.uniform(0, 1)));
+    const angle = rng.uniform(0, 2 * Math.PI);
+    const gain = gainAt(k * binHz);
+    re[k] = gain * radius * Math.cos(angle);
+    im[k] = gain * radius * Math.sin(angle);
+    // Hermitian symmetry, so the inverse transform is real
+    re[M - k] = re[k];
+    im[M - k] = -im[k];
+  }
+
+  inverseFft(re, im);
+  // The spectrum is M-periodic; the first N samples are one stretch of it
+  return re.subarray(0, N);
+}
+
+/**
+ * FFT bins of a block that fall inside a band, for the band breakdown.
+ *
+ * @param {number} N - Block length in samples
+ * @param {number} fsHz - Sample rate in Hz
+ * @param {Object} band - { lo, hi } in Hz, already clipped to the carrier
+ * @returns {Object} {count, loHz, hiHz}
+ */
+export function noiseBinsIn(N, fsHz, { lo, hi }) {
+  let M = 1;
+  while (M < N) M *= 2;
+  const binHz = fsHz / M;
+  const kLo = Math.ceil(lo / binHz);
+  const kHi = Math.floor(hi / binHz);
+  if (kHi < kLo) return { count: 0, loHz: null, hiHz: null };
+  return { count: kHi - kLo + 1, loHz: kLo * binHz, hiHz: kHi * binHz };
+}
+
+// In-place iterative radix-2 inverse FFT (unscaled; blocks are normalised
+// afterwards). re.length must be a power of two.
+function inverseFft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  // Twiddles e^{2πik/n} from exact angles (a recurrence would drift over
+  // the 2^18 points of a 4 s block)
+  const cos = new Float64Array(n / 2);
+  const sin = new Float64Array(n / 2);
+  for (let k = 0; k < n / 2; k++) {
+    cos[k] = Math.cos((2 * Math.PI * k) / n);
+    sin[k] = Math.sin((2 * Math.PI * k) / n);
+  }
+  for (let len = 2; len <= n; len *= 2) {
+    const half = len / 2;
+    const stride = n / len;
+    for (let i = 0; i < n; i += len) {
+      for (let j = 0; j < half; j++) {
+        const wRe = cos[j * stride];
+        const wIm = sin[j * stride];
+        const a = i + j;
+        const b = a + half;
+        const vRe = re[b] * wRe - im[b] * wIm;
+        const vIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - vRe;
+        im[b] = im[a] - vIm;
+        re[a] += vRe;
+        im[a] += vIm;
+      }
+    }
+  }
+}
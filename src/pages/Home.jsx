@@ -1,9 +1,18 @@
-import { useState, useRef, useEffect } from 'react'
+import { Fragment, useState, useRef, useEffect } from 'react'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Slider } from '@/components/ui/slider'
 import { Volume2, Play, Download, Loader2, AlertCircle, ChevronRight, ChevronLeft } from 'lucide-react'
 import { useTab } from '@/contexts/TabContext'
+import {
+  PARAMETER_SPECS, PARAMETER_NAMES, PAPER_DEFAULTS, EXPERT_PRESETS, CARRIER_TYPES, BLOCK_ENVELOPES, BLOCK_DURATIONS, RAMP_SHAPES,
+  UPPER_LIMIT_MODES, THERAPY_MODES, NOTCH_CARRIERS,
+} from '@/modulationParameters'
+import { LEVEL_SPECS, DEFAULT_TRUE_PEAK_DB, TRUE_PEAK_RANGE } from '@/loudness'
+import { SLEEP_DEFAULTS } from '@/sleepProgram'
+import { DITHER_MODES, DEFAULT_DITHER, OUTPUT_LEVEL_RANGE } from '@/dither'
+import { SPECTRAL_WEIGHTINGS, PHON_SPEC } from '@/spectralWeighting'
+import { BAND_MODES, CONTINGENCY_BAND_MODES, PAPER_TABLE, PAPER_CARRIER_MIN_HZ, EXTRAPOLATED_CARRIER_MIN_HZ, resolveBandSpec, mapMatch } from '@/bandMapping'
 
 function hzToLabel(hz) {
   if (hz >= 1000) return `${(hz/1000).toFixed(2)} kHz`
@@ -34,12 +43,76 @@ function hzToLabelWithNote(hz) {
   return freqLabel
 }
 
+// One match, several (multi-tone tinnitus), or none (explicit bands)
+function matchLabel(hz) {
+  if (hz == null) return 'Custom bands'
+  return [hz].flat().map(hzToLabelWithNote).join(' + ')
+}
+
+function bandNames(bands) {
+  return bands.map((band) => band.name).join(', ')
+}
+
+// "90 minutes (1.5 h)" for overnight durations
+function durationLabel(minutes) {
+  return minutes >= 60 ? `${minutes} minutes (${+(minutes / 60).toFixed(2)} h)` : `${minutes} minutes`
+}
+
+// Uncompressed mono WAV size in bytes
+const SAMPLE_BYTES = { pcm16: 2, pcm24: 3, float32: 4 }
+function wavBytes(minutes, sampleRate, sampleFormat) {
+  return minutes * 60 * sampleRate * SAMPLE_BYTES[sampleFormat]
+}
+
+const DITHER_LABELS = {
+  none: 'No dither (rounding)',
+  tpdf: 'TPDF dither',
+  shaped: 'TPDF + noise shaping',
+}
+
+// Sleep program envelope from the result: gain over the session as a line
+function SleepEnvelope({ sleep }) {
+  const width = 300
+  const height = 48
+  const points = sleep.envelope
+    .map((p) => `${((p.sec / sleep.totalSec) * width).toFixed(1)},${((1 - p.gain) * height).toFixed(1)}`)
+    .join(' ')
+  return (
+    <div className="mt-2 space-y-1">
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-12 bg-muted/40 rounded" preserveAspectRatio="none">
+        <polyline points={points} fill="none" stroke="currentColor" strokeWidth="1.5" className="text-primary" />
+      </svg>
+      <p className="text-xs text-muted-foreground">
+        Sleep program: {sleep.fadeInSec} s fade-in • {sleep.taperDb} dB over the last {sleep.taperMinutes} min • {sleep.fadeOutSec} s fade to silence
+      </p>
+    </div>
+  )
+}
+
+// GET /api/stream form of a generation request: objects as JSON, arrays
+// (several tinnitus frequencies) comma-separated
+function streamUrl(request) {
+  const query = new URLSearchParams()
+  for (const [key, value] of Object.entries(request)) {
+    if (value === null || value === undefined || value === '') continue
+    query.set(key, typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : String(value))
+  }
+  return `/api/stream?${query}`
+}
+
+// playingFile value while the live stream (rather than a generated file) plays
+const LIVE_STREAM = 'live-stream'
+
 function clamp(v, a, b) { return Math.max(a, Math.min(b, v)) }
 function pow2(x) { return Math.pow(2, x) }
 
+// Shown wherever a match below 1 kHz is used: the study's carrier and
+// Table 1 start at 1 kHz, so these bands are extrapolated
+const EXTRAPOLATED_NOTE = 'Below 1 kHz: bands extrapolated beyond the published protocol'
+
 // Large frequency bands (6 total) - each will have 5 sub-bands
 const LARGE_BANDS = [
-  { name: 'Very Low', lo: 500, hi: 1000, subBands: [
+  { name: 'Very Low', lo: 500, hi: 1000, extrapolated: true, subBands: [
     { name: '500-600 Hz', lo: 500, hi: 600 },
     { name: '600-700 Hz', lo: 600, hi: 700 },
     { name: '700-800 Hz', lo: 700, hi: 800 },
@@ -93,6 +166,7 @@ export default function Home() {
   const [selectedFrequency, setSelectedFrequency] = useState(null)
   const [blendAutoPlaying, setBlendAutoPlaying] = useState(false)
   const [wizardMinutes, setWizardMinutes] = useState(5) // Duration for wizard generation
+  const [wizardSleep, setWizardSleep] = useState(false) // Sleep preset: fade-in, taper and fade-out
   
   // Advanced assessment state
   const [estimateHz, setEstimateHz] = useState(8000)
@@ -101,15 +175,41 @@ export default function Home() {
   const [maxTrials] = useState(16)
   const [lastPair, setLastPair] = useState(null)
   const [upperLimitHz, setUpperLimitHz] = useState(null)
+  const [upperLimitMode, setUpperLimitMode] = useState('truncate')
   const [toneSliderHz, setToneSliderHz] = useState(8000)
   const [abStatus, setAbStatus] = useState('')
   const [exportStatus, setExportStatus] = useState('')
   const [mode, setMode] = useState('phase')
+  const [notchCarrier, setNotchCarrier] = useState('noise')
   const [minutes, setMinutes] = useState(60)
   const [genTinnitusHz, setGenTinnitusHz] = useState(8000)
+  const [extraTinnitusHz, setExtraTinnitusHz] = useState('')
+  const [qPhaseMode, setQPhaseMode] = useState('shared')
+  const [carrierType, setCarrierType] = useState('harmonic')
+  const [blockEnvelope, setBlockEnvelope] = useState('paper')
+  const [blockDurations, setBlockDurations] = useState('fixed')
+  const [rampShape, setRampShape] = useState('raisedCosine')
+  const [seed, setSeed] = useState('')
   const [useAltActive, setUseAltActive] = useState(false)
   const [useAltSham, setUseAltSham] = useState(false)
   const [generateSham, setGenerateSham] = useState(false)
+  const [showExpertParams, setShowExpertParams] = useState(false)
+  const [expertPresetId, setExpertPresetId] = useState('paper')
+  const [expertParams, setExpertParams] = useState(PAPER_DEFAULTS)
+  const [sampleRate, setSampleRate] = useState(44100)
+  const [sampleFormat, setSampleFormat] = useState('pcm16')
+  const [outputFormat, setOutputFormat] = useState('wav')
+  const [normalization, setNormalization] = useState('peak')
+  const [targetLevel, setTargetLevel] = useState(null)
+  const [truePeakDb, setTruePeakDb] = useState(DEFAULT_TRUE_PEAK_DB)
+  const [outputLevelDb, setOutputLevelDb] = useState(0)
+  const [dither, setDither] = useState(DEFAULT_DITHER)
+  const [spectralWeighting, setSpectralWeighting] = useState('flat')
+  const [phon, setPhon] = useState(PHON_SPEC.default)
+  const [bandMode, setBandMode] = useState('table1')
+  const [bandWidthOct, setBandWidthOct] = useState(1)
+  const [bandTableText, setBandTableText] = useState(() => JSON.stringify(PAPER_TABLE, null, 2))
+  const [explicitBands, setExplicitBands] = useState({ activeLo: 5700, activeHi: 11000, shamLo: 2000, shamHi: 4000 })
   
   // Shared state
   const [audioCtx, setAudioCtx] = useState(null)
@@ -365,15 +465,16 @@ export default function Home() {
     if (!lastPair) return
     const { BHz } = lastPair
     
+    // Sent with every request: the carrier stops here and the server picks
+    // the A2/C2 contingency bands where A1/C1 reach above it
     setUpperLimitHz(BHz)
-    setUseAltSham(true)
     
     const adjustedBHz = BHz * 0.9
     const { AHz } = lastPair
     
     setLastPair({ AHz, BHz: adjustedBHz })
     
-    setAbStatus(`Upper limit set at ${hzToLabelWithNote(BHz)}. Contingency sham band enabled. Playing new pair…`)
+    setAbStatus(`Upper limit set at ${hzToLabelWithNote(BHz)}. The carrier will stop there. Playing new pair…`)
     
     setTimeout(() => {
       playCurrentTrial()
@@ -431,13 +532,99 @@ export default function Home() {
     }
   }, [estimateHz, activeTab])
 
-  // Advanced generate sounds function
-  const generateSoundsAdvanced = async () => {
+  // The notched mode's noise carrier replaces the carrier type
+  const noiseNotch = mode === 'notched' && notchCarrier === 'noise'
+
+  // Generation request from the Advanced tab settings, or null (after an
+  // alert) if they are incomplete
+  const advancedRequest = () => {
     if (!genTinnitusHz || genTinnitusHz <= 0) {
       alert("Please enter a valid tinnitus frequency (Hz).")
-      return
+      return null
+    }
+
+    // Further pitches for multi-tone tinnitus, e.g. "4000, 9500"
+    const extraHz = extraTinnitusHz.split(',').map((x) => x.trim()).filter(Boolean).map(Number)
+    if (extraHz.some((hz) => !(hz > 0))) {
+      alert("Additional tinnitus frequencies must be positive numbers separated by commas.")
+      return null
+    }
+
+    let bandTable = null
+    if (bandMode === 'table') {
+      try {
+        bandTable = JSON.parse(bandTableText)
+      } catch (error) {
+        alert(`The band table is not valid JSON: ${error.message}`)
+        return null
+      }
     }
 
+    return {
+      tinnitusHz: extraHz.length > 0 ? [genTinnitusHz, ...extraHz] : genTinnitusHz,
+      qPhaseMode,
+      // The notched noise carrier has no components to vary
+      carrierType: noiseNotch ? 'harmonic' : carrierType,
+      blockEnvelope,
+      blockDurations,
+      // Crossfades are always equal-power
+      ...(blockEnvelope === 'paper' && { rampShape }),
+      ...(seed !== '' && { seed: Number(seed) }),
+      mode,
+      ...(mode === 'notched' && { notchCarrier }),
+      minutes,
+      useAltActive,
+      useAltSham,
+      ...(upperLimitHz !== null && { upperLimitHz, upperLimitMode }),
+      bandMode,
+      bandWidthOct,
+      ...(bandTable && { bandTable }),
+      ...(bandMode === 'explicit' && {
+        activeBand: { lo: explicitBands.activeLo, hi: explicitBands.activeHi },
+        shamBand: { lo: explicitBands.shamLo, hi: explicitBands.shamHi },
+      }),
+      generateSham,
+      sampleRate,
+      sampleFormat,
+      format: outputFormat,
+      normalization,
+      targetLevel,
+      truePeakDb,
+      outputLevelDb,
+      dither,
+      spectralWeighting,
+      ...(spectralWeighting === 'equalLoudness' && { phon }),
+      ...expertParams,
+    }
+  }
+
+  // Bands the current settings give for the main match, from the same
+  // mapping module the server uses
+  const bandPreview = (() => {
+    if (bandMode === 'explicit' || !(genTinnitusHz > 0)) return null
+    try {
+      // Notches are centred on the match, as on the server
+      const spec = resolveBandSpec({
+        bandMode: mode === 'notched' ? 'centered' : bandMode,
+        bandWidthOct: mode === 'notched' ? expertParams.notchWidthOct : bandWidthOct,
+        bandTable: bandMode === 'table' ? JSON.parse(bandTableText) : null,
+        useAltActive,
+        useAltSham,
+        upperLimitHz,
+        generateSham,
+        clipToCarrier: mode === 'notched',
+      })
+      return mapMatch(genTinnitusHz, spec, { carrierMinHz: expertParams.carrierMinHz, carrierMaxHz: expertParams.carrierMaxHz })
+    } catch (error) {
+      return { error: error.message }
+    }
+  })()
+
+  // Advanced generate sounds function
+  const generateSoundsAdvanced = async () => {
+    const request = advancedRequest()
+    if (!request) return
+
     setGenerating(true)
     setGeneratedFiles(null)
     setGenerationProgress(0)
@@ -447,15 +634,7 @@ export default function Home() {
       const response = await fetch('/api/generate', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          tinnitusHz: genTinnitusHz,
-          mode,
-          minutes,
-          useAltActive,
-          useAltSham,
-          generateSham,
-          useProgress: true,
-        }),
+        body: JSON.stringify({ ...request, useProgress: true }),
       })
 
       if (!response.ok) {
@@ -522,35 +701,53 @@ export default function Home() {
     }
   }
 
-  const generateSounds = async () => {
+  const applyExpertPreset = (presetId) => {
+    const preset = EXPERT_PRESETS.find((p) => p.id === presetId)
+    if (!preset) return
+    setExpertPresetId(presetId)
+    setExpertParams({ ...PAPER_DEFAULTS, ...preset.params })
+  }
+
+  const updateExpertParam = (name, value) => {
+    setExpertPresetId('custom')
+    setExpertParams((prev) => ({ ...prev, [name]: value }))
+  }
+
+  // Generation request from the wizard, or null (after an alert) before a
+  // frequency has been selected
+  const wizardRequest = () => {
     if (!selectedFrequency || selectedFrequency <= 0) {
       alert("Please complete the frequency selection step.")
-      return
+      return null
     }
 
+    return {
+      tinnitusHz: selectedFrequency,
+      mode: 'phase', // Default to phase
+      minutes: wizardMinutes, // Use wizard duration slider value
+      // A measured upper limit selects the A2 contingency band where needed
+      ...(upperLimitHz !== null && { upperLimitHz }),
+      generateSham: false,
+      ...(wizardSleep && { sleep: SLEEP_DEFAULTS }),
+    }
+  }
+
+  const generateSounds = async () => {
+    const request = wizardRequest()
+    if (!request) return
+
     setGenerating(true)
     setGeneratedFiles(null)
     setGenerationProgress(0)
     setGenerationStatus('Initializing...')
 
     try {
-      // Automatically use alternative band if frequency is likely inaudible
-      const useAltActive = shouldUseAltBand(selectedFrequency)
-      
       // Use EventSource for SSE (but EventSource only supports GET)
       // So we'll use fetch with streaming instead
       const response = await fetch('/api/generate', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          tinnitusHz: selectedFrequency,
-          mode: 'phase', // Default to phase
-          minutes: wizardMinutes, // Use wizard duration slider value
-          useAltActive: useAltActive, // Auto-avoid inaudible frequencies
-          useAltSham: false,
-          generateSham: false,
-          useProgress: true, // Request progress updates
-        }),
+        body: JSON.stringify({ ...request, useProgress: true }), // Request progress updates
       })
 
       if (!response.ok) {
@@ -639,6 +836,29 @@ export default function Home() {
     }
   }
 
+  // Listen before (or while) the file is generated: the server streams the
+  // WAV as its blocks are rendered and the <audio> element starts playing
+  // within seconds. Always WAV, so the output format is not sent.
+  const playStream = (request) => {
+    if (!audioElement || !request) return
+    const { format, ...streamRequest } = request
+    audioElement.src = streamUrl(streamRequest)
+    audioElement.play()
+    setPlayingFile(LIVE_STREAM)
+
+    audioElement.onended = () => {
+      setPlayingFile(null)
+    }
+  }
+
+  const stopStream = () => {
+    if (!audioElement) return
+    audioElement.pause()
+    audioElement.removeAttribute('src')
+    audioElement.load() // closes the connection, which stops rendering
+    setPlayingFile(null)
+  }
+
   const downloadFile = (filename) => {
     const url = `/api/download/${filename}`
     const a = document.createElement('a')
@@ -675,27 +895,6 @@ export default function Home() {
     }
   }
 
-  // Determine if we should use alternative band to avoid inaudible frequencies
-  const shouldUseAltBand = (freqHz) => {
-    // High frequencies (>12 kHz) are more likely to be inaudible for older users
-    // Check if the mapped band might contain inaudible frequencies
-    const kHz = freqHz / 1000
-    const MATCH_KEYS_KHZ = [1.0, 1.2, 1.4, 1.7, 2.0, 2.4, 2.8, 3.4, 4.0, 4.8, 5.7, 6.7, 8.0, 9.5, 11.0, 13.0, 16.0]
-    let best = MATCH_KEYS_KHZ[0]
-    let bestD = Math.abs(kHz - best)
-    for (const k of MATCH_KEYS_KHZ) {
-      const d = Math.abs(kHz - k)
-      if (d < bestD) {
-        bestD = d
-        best = k
-      }
-    }
-    
-    // For frequencies >= 11 kHz, prefer alternative band if available
-    // This helps avoid inaudible high frequencies
-    return best >= 11.0
-  }
-
   // Render wizard steps
   const renderStep = () => {
     switch (currentStep) {
@@ -917,6 +1116,7 @@ export default function Home() {
                         <div className="font-semibold text-lg mb-2">{band.name}</div>
                         <div className="text-sm text-muted-foreground mb-3">
                           {hzToLabelWithNote(band.lo)} — {hzToLabelWithNote(band.hi)}
+                          {band.extrapolated && <div className="text-xs text-destructive mt-1">{EXTRAPOLATED_NOTE}</div>}
                         </div>
                         <Button
                           onClick={async (e) => {
@@ -1006,6 +1206,29 @@ export default function Home() {
               </div>
 
               <div className="space-y-4">
+                <div className="grid grid-cols-2 gap-2">
+                  <Button
+                    variant={wizardSleep ? 'outline' : 'default'}
+                    onClick={() => setWizardSleep(false)}
+                  >
+                    Daytime
+                  </Button>
+                  <Button
+                    variant={wizardSleep ? 'default' : 'outline'}
+                    onClick={() => {
+                      setWizardSleep(true)
+                      setWizardMinutes(60)
+                    }}
+                  >
+                    Sleep
+                  </Button>
+                </div>
+                {wizardSleep && (
+                  <p className="text-xs text-muted-foreground">
+                    For bedtime: the sound fades in over {SLEEP_DEFAULTS.fadeInSec} s, gets {-SLEEP_DEFAULTS.taperDb} dB quieter
+                    during the last {SLEEP_DEFAULTS.taperMinutes} minutes and fades to silence over the final {SLEEP_DEFAULTS.fadeOutSec} s.
+                  </p>
+                )}
                 <div className="space-y-2">
                   <label className="text-sm font-medium block">
                     Duration: {wizardMinutes} minutes
@@ -1043,6 +1266,17 @@ export default function Home() {
                   </>
                 )}
               </Button>
+
+              <Button
+                onClick={playingFile === LIVE_STREAM ? stopStream : () => playStream(wizardRequest())}
+                disabled={!selectedFrequency}
+                variant={playingFile === LIVE_STREAM ? 'default' : 'outline'}
+                size="lg"
+                className="w-full"
+              >
+                <Play className="w-5 h-5 mr-2" />
+                {playingFile === LIVE_STREAM ? 'Stop Listening' : 'Listen Now (streams while it renders)'}
+              </Button>
               
               {generating && (
                 <div className="space-y-2">
@@ -1082,6 +1316,7 @@ export default function Home() {
                     <p className="text-xs text-muted-foreground mt-1">
                       Band: {generatedFiles.activeBand.name}
                     </p>
+                    {generatedFiles.sleep && <SleepEnvelope sleep={generatedFiles.sleep} />}
                   </div>
                   
                   <div className="flex flex-col sm:flex-row gap-4">
@@ -1349,6 +1584,9 @@ export default function Home() {
               <p className="text-sm">
                 Current estimate: <code className="bg-muted px-2 py-1 rounded">{hzToLabelWithNote(estimateHz)}</code>
               </p>
+              {estimateHz < PAPER_CARRIER_MIN_HZ && (
+                <p className="text-xs text-destructive mt-1">{EXTRAPOLATED_NOTE}</p>
+              )}
             </div>
 
             <div className="pt-4 border-t space-y-4">
@@ -1418,7 +1656,7 @@ export default function Home() {
                 type="number"
                 value={genTinnitusHz}
                 onChange={(e) => setGenTinnitusHz(Number(e.target.value))}
-                min={500}
+                min={EXTRAPOLATED_CARRIER_MIN_HZ}
                 max={16000}
                 step={100}
                 className="w-full px-3 py-2 bg-background border border-input rounded-md"
@@ -1428,6 +1666,19 @@ export default function Home() {
                   from assessment: {hzToLabelWithNote(estimateHz)}
                 </p>
               )}
+              {genTinnitusHz > 0 && genTinnitusHz < PAPER_CARRIER_MIN_HZ && (
+                <p className="text-xs text-destructive">{EXTRAPOLATED_NOTE}</p>
+              )}
+              <input
+                type="text"
+                value={extraTinnitusHz}
+                onChange={(e) => setExtraTinnitusHz(e.target.value)}
+                placeholder="Additional pitches, e.g. 4000, 9500"
+                className="w-full px-3 py-2 bg-background border border-input rounded-md text-sm"
+              />
+              <p className="text-xs text-muted-foreground">
+                Optional: for multi-tone tinnitus, each pitch gets its own modulated band
+              </p>
             </div>
             <div className="space-y-2">
               <label className="text-sm font-medium block">Modulation Mode</label>
@@ -1436,19 +1687,42 @@ export default function Home() {
                 onChange={(e) => setMode(e.target.value)}
                 className="w-full px-3 py-2 bg-background border border-input rounded-md"
               >
-                <option value="phase">Phase Modulation (Recommended)</option>
-                <option value="amplitude">Amplitude Modulation</option>
+                {Object.entries(THERAPY_MODES).map(([id, name]) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
               </select>
+              {mode === 'notched' && (
+                <>
+                  <select
+                    value={notchCarrier}
+                    onChange={(e) => setNotchCarrier(e.target.value)}
+                    className="w-full px-3 py-2 bg-background border border-input rounded-md"
+                  >
+                    {Object.entries(NOTCH_CARRIERS).map(([id, name]) => (
+                      <option key={id} value={id}>{name}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-muted-foreground">
+                    A spectral notch centred on the tinnitus frequency, without modulation (not the study protocol).
+                    Width and depth are under Expert Parameters.
+                  </p>
+                </>
+              )}
             </div>
             <div className="space-y-2">
-              <label className="text-sm font-medium block">Duration: {minutes} minutes</label>
+              <label className="text-sm font-medium block">Duration: {durationLabel(minutes)}</label>
               <Slider
                 value={minutes}
                 onChange={(e) => setMinutes(Number(e.target.value))}
                 min={5}
-                max={120}
+                max={600}
                 step={5}
               />
+              {outputFormat === 'wav' && wavBytes(minutes, sampleRate, sampleFormat) >= 2 ** 32 && (
+                <p className="text-xs text-muted-foreground">
+                  About {(wavBytes(minutes, sampleRate, sampleFormat) / 2 ** 30).toFixed(1)} GB: written as RF64, which some older players cannot open
+                </p>
+              )}
             </div>
           </div>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4 pt-2">
@@ -1457,6 +1731,7 @@ export default function Home() {
                 <input
                   type="checkbox"
                   checked={useAltActive}
+                  disabled={!CONTINGENCY_BAND_MODES.includes(bandMode)}
                   onChange={(e) => setUseAltActive(e.target.checked)}
                   className="w-4 h-4 rounded border-input"
                 />
@@ -1486,6 +1761,7 @@ export default function Home() {
                   <input
                     type="checkbox"
                     checked={useAltSham}
+                    disabled={!CONTINGENCY_BAND_MODES.includes(bandMode)}
                     onChange={(e) => setUseAltSham(e.target.checked)}
                     className="w-4 h-4 rounded border-input"
                   />
@@ -1497,10 +1773,345 @@ export default function Home() {
               </div>
             )}
           </div>
+          <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+            <label className="text-sm font-medium">Upper audible limit (Hz)</label>
+            <input
+              type="number"
+              value={upperLimitHz ?? ''}
+              onChange={(e) => setUpperLimitHz(e.target.value === '' ? null : Number(e.target.value))}
+              placeholder="None"
+              min={PARAMETER_SPECS.carrierMinHz.min}
+              max={PARAMETER_SPECS.carrierMaxHz.max}
+              step="100"
+              className="w-28 px-2 py-1 bg-background border border-input rounded-md text-sm"
+            />
+            <select
+              value={upperLimitMode}
+              onChange={(e) => setUpperLimitMode(e.target.value)}
+              disabled={upperLimitHz === null}
+              className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+            >
+              {Object.entries(UPPER_LIMIT_MODES).map(([id, name]) => (
+                <option key={id} value={id}>{name}</option>
+              ))}
+            </select>
+            <span className="text-xs text-muted-foreground">
+              Set by "B Inaudible" in the pitch match. The carrier stops here, and A2/C2 are chosen where A1/C1 reach above it.
+            </span>
+          </div>
           <p className="text-xs text-muted-foreground">
             Phase Modulation: Subtle timing variations (default). Amplitude Modulation: Volume pulsing effect.
           </p>
 
+          {/* Expert Parameters */}
+          <div className="border rounded-md">
+            <button
+              type="button"
+              onClick={() => setShowExpertParams(!showExpertParams)}
+              className="w-full flex items-center justify-between px-3 py-2 text-sm font-medium"
+            >
+              <span>Expert Parameters</span>
+              <ChevronRight className={`w-4 h-4 transition-transform ${showExpertParams ? 'rotate-90' : ''}`} />
+            </button>
+            {showExpertParams && (
+              <div className="px-3 pb-3 space-y-3 border-t pt-3">
+                <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                  <label className="text-sm font-medium">Preset</label>
+                  <select
+                    value={expertPresetId}
+                    onChange={(e) => applyExpertPreset(e.target.value)}
+                    className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                  >
+                    {EXPERT_PRESETS.map((preset) => (
+                      <option key={preset.id} value={preset.id}>{preset.name}</option>
+                    ))}
+                    {expertPresetId === 'custom' && <option value="custom">Custom</option>}
+                  </select>
+                  <label className="text-sm font-medium sm:ml-4">Output</label>
+                  <select
+                    value={sampleRate}
+                    onChange={(e) => setSampleRate(Number(e.target.value))}
+                    className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                  >
+                    <option value={44100}>44.1 kHz</option>
+                    <option value={48000}>48 kHz</option>
+                    <option value={96000}>96 kHz</option>
+                  </select>
+                  <select
+                    value={sampleFormat}
+                    onChange={(e) => setSampleFormat(e.target.value)}
+                    className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                  >
+                    <option value="pcm16">16-bit PCM</option>
+                    <option value="pcm24">24-bit PCM</option>
+                    <option value="float32" disabled={outputFormat === 'flac'}>32-bit float</option>
+                  </select>
+                  <select
+                    value={outputFormat}
+                    onChange={(e) => {
+                      setOutputFormat(e.target.value)
+                      // FLAC stores integer samples only
+                      if (e.target.value === 'flac' && sampleFormat === 'float32') setSampleFormat('pcm24')
+                    }}
+                    className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                  >
+                    <option value="wav">WAV</option>
+                    <option value="flac">FLAC (lossless, smaller)</option>
+                  </select>
+                </div>
+                <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                  <label className="text-sm font-medium">Level</label>
+                  <select
+                    value={normalization}
+                    onChange={(e) => {
+                      setNormalization(e.target.value)
+                      setTargetLevel(null)
+                    }}
+                    className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                  >
+                    <option value="peak">Per-block peak (paper)</option>
+                    <option value="rms">Constant RMS</option>
+                    <option value="lufs">Constant loudness (LUFS)</option>
+                  </select>
+                  {normalization !== 'peak' && (
+                    <>
+                      <label className="text-xs font-medium sm:ml-2">
+                        Target ({LEVEL_SPECS[normalization].unit})
+                      </label>
+                      <input
+                        type="number"
+                        value={targetLevel ?? LEVEL_SPECS[normalization].default}
+                        onChange={(e) => setTargetLevel(Number(e.target.value))}
+                        min={LEVEL_SPECS[normalization].min}
+                        max={LEVEL_SPECS[normalization].max}
+                        step="0.5"
+                        className="w-24 px-2 py-1 bg-background border border-input rounded-md text-sm"
+                      />
+                      <label className="text-xs font-medium sm:ml-2">True-peak ceiling (dBTP)</label>
+                      <input
+                        type="number"
+                        value={truePeakDb}
+                        onChange={(e) => setTruePeakDb(Number(e.target.value))}
+                        min={TRUE_PEAK_RANGE.min}
+                        max={TRUE_PEAK_RANGE.max}
+                        step="0.5"
+                        className="w-24 px-2 py-1 bg-background border border-input rounded-md text-sm"
+                      />
+                    </>
+                  )}
+                </div>
+                <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                  <label className="text-sm font-medium">Weighting</label>
+                  <select
+                    value={spectralWeighting}
+                    onChange={(e) => setSpectralWeighting(e.target.value)}
+                    className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                  >
+                    {Object.entries(SPECTRAL_WEIGHTINGS).map(([id, name]) => (
+                      <option key={id} value={id}>{name}</option>
+                    ))}
+                  </select>
+                  {spectralWeighting === 'equalLoudness' && (
+                    <>
+                      <label className="text-xs font-medium sm:ml-2">Level ({PHON_SPEC.unit})</label>
+                      <input
+                        type="number"
+                        value={phon}
+                        onChange={(e) => setPhon(Number(e.target.value))}
+                        min={PHON_SPEC.min}
+                        max={PHON_SPEC.max}
+                        step="5"
+                        className="w-24 px-2 py-1 bg-background border border-input rounded-md text-sm"
+                      />
+                    </>
+                  )}
+                </div>
+                <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                  <label className="text-sm font-medium">Output level (dBFS)</label>
+                  <input
+                    type="number"
+                    value={outputLevelDb}
+                    onChange={(e) => setOutputLevelDb(Number(e.target.value))}
+                    min={OUTPUT_LEVEL_RANGE.min}
+                    max={OUTPUT_LEVEL_RANGE.max}
+                    step="1"
+                    className="w-24 px-2 py-1 bg-background border border-input rounded-md text-sm"
+                  />
+                  <label className="text-sm font-medium sm:ml-4">Dither</label>
+                  <select
+                    value={dither}
+                    onChange={(e) => setDither(e.target.value)}
+                    disabled={sampleFormat === 'float32'}
+                    className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                  >
+                    {DITHER_MODES.map((id) => (
+                      <option key={id} value={id}>{DITHER_LABELS[id]}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                  <label className="text-sm font-medium">Carrier</label>
+                  <select
+                    value={carrierType}
+                    onChange={(e) => setCarrierType(e.target.value)}
+                    disabled={noiseNotch}
+                    className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                  >
+                    {Object.entries(CARRIER_TYPES).map(([id, name]) => (
+                      <option key={id} value={id}>{name}</option>
+                    ))}
+                  </select>
+                  <label className="text-sm font-medium sm:ml-4">Blocks</label>
+                  <select
+                    value={blockEnvelope}
+                    onChange={(e) => setBlockEnvelope(e.target.value)}
+                    className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                  >
+                    {Object.entries(BLOCK_ENVELOPES).map(([id, name]) => (
+                      <option key={id} value={id}>{name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                  <label className="text-sm font-medium">Durations</label>
+                  <select
+                    value={blockDurations}
+                    onChange={(e) => setBlockDurations(e.target.value)}
+                    className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                  >
+                    {Object.entries(BLOCK_DURATIONS).map(([id, name]) => (
+                      <option key={id} value={id}>{name}</option>
+                    ))}
+                  </select>
+                  <label className="text-sm font-medium sm:ml-4">Ramps</label>
+                  <select
+                    value={blockEnvelope === 'paper' ? rampShape : 'equalPower'}
+                    onChange={(e) => setRampShape(e.target.value)}
+                    disabled={blockEnvelope !== 'paper'}
+                    className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                  >
+                    {Object.entries(RAMP_SHAPES).map(([id, name]) => (
+                      <option key={id} value={id}>{name}</option>
+                    ))}
+                  </select>
+                  <label className="text-sm font-medium sm:ml-4">Seed</label>
+                  <input
+                    type="number"
+                    value={seed}
+                    onChange={(e) => setSeed(e.target.value)}
+                    min={0}
+                    max={4294967295}
+                    step={1}
+                    placeholder="random"
+                    className="w-32 px-2 py-1 bg-background border border-input rounded-md text-sm"
+                  />
+                </div>
+                <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                  <label className="text-sm font-medium">Bands</label>
+                  <select
+                    value={bandMode}
+                    onChange={(e) => setBandMode(e.target.value)}
+                    className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                  >
+                    {Object.entries(BAND_MODES).map(([id, name]) => (
+                      <option key={id} value={id}>{name}</option>
+                    ))}
+                  </select>
+                  {extraTinnitusHz.trim() !== '' && (
+                    <select
+                      value={qPhaseMode}
+                      onChange={(e) => setQPhaseMode(e.target.value)}
+                      className="px-3 py-2 bg-background border border-input rounded-md text-sm"
+                    >
+                      <option value="shared">Shared q phase</option>
+                      <option value="independent">Independent q per band</option>
+                    </select>
+                  )}
+                  {bandMode === 'centered' && (
+                    <>
+                      <label className="text-xs font-medium sm:ml-2">Width (oct)</label>
+                      <input
+                        type="number"
+                        value={bandWidthOct}
+                        onChange={(e) => setBandWidthOct(Number(e.target.value))}
+                        min={0.25}
+                        max={3}
+                        step="0.25"
+                        className="w-24 px-2 py-1 bg-background border border-input rounded-md text-sm"
+                      />
+                    </>
+                  )}
+                  {bandMode === 'explicit' && [
+                    ['activeLo', 'Active from'], ['activeHi', 'to'], ['shamLo', 'Sham from'], ['shamHi', 'to'],
+                  ].map(([key, label]) => (
+                    <Fragment key={key}>
+                      <label className="text-xs font-medium sm:ml-2">{label} (Hz)</label>
+                      <input
+                        type="number"
+                        value={explicitBands[key]}
+                        onChange={(e) => setExplicitBands({ ...explicitBands, [key]: Number(e.target.value) })}
+                        min={100}
+                        max={20000}
+                        step="100"
+                        className="w-24 px-2 py-1 bg-background border border-input rounded-md text-sm"
+                      />
+                    </Fragment>
+                  ))}
+                </div>
+                {bandMode === 'table' && (
+                  <div className="space-y-1">
+                    <label className="text-xs font-medium block">
+                      Band table (JSON: bands by name, rows keyed by match in kHz with a1/c1 and optional a2/c2)
+                    </label>
+                    <textarea
+                      value={bandTableText}
+                      onChange={(e) => setBandTableText(e.target.value)}
+                      rows={8}
+                      spellCheck={false}
+                      className="w-full px-2 py-1 bg-background border border-input rounded-md text-xs font-mono"
+                    />
+                  </div>
+                )}
+                {bandPreview && (
+                  <p className="text-xs text-muted-foreground">
+                    {bandPreview.error
+                      ? `Bands: ${bandPreview.error}`
+                      : `${hzToLabel(genTinnitusHz)} → ${mode === 'notched' ? 'notch' : 'active'} ${bandPreview.activeBand.name}${bandPreview.bandLogic.activeChoice ? ` (${bandPreview.bandLogic.activeChoice})` : ''}` +
+                        (bandPreview.shamBand ? `, sham ${bandPreview.shamBand.name}${bandPreview.bandLogic.shamChoice ? ` (${bandPreview.bandLogic.shamChoice})` : ''}` : '') +
+                        (bandPreview.bandLogic.extrapolated ? ' (extrapolated, not in the paper)' : '')}
+                  </p>
+                )}
+                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-3">
+                  {PARAMETER_NAMES.map((name) => {
+                    const spec = PARAMETER_SPECS[name]
+                    return (
+                      <div key={name} className="space-y-1">
+                        <label className="text-xs font-medium block">
+                          {spec.label}{spec.unit && ` (${spec.unit})`}
+                        </label>
+                        <input
+                          type="number"
+                          value={expertParams[name]}
+                          onChange={(e) => updateExpertParam(name, Number(e.target.value))}
+                          min={spec.min}
+                          max={spec.max}
+                          step="any"
+                          className="w-full px-2 py-1 bg-background border border-input rounded-md text-sm"
+                        />
+                        <p className="text-xs text-muted-foreground">
+                          {spec.min}–{spec.max}, paper: {spec.default}
+                        </p>
+                      </div>
+                    )
+                  })}
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  For research use. Values other than the paper defaults have not been evaluated clinically.
+                </p>
+              </div>
+            )}
+          </div>
+
           <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-2 md:gap-4">
             <Button
               onClick={exportConfig}
@@ -1511,6 +2122,16 @@ export default function Home() {
               <Download className="w-4 h-4 mr-2" />
               Export Assessment Config
             </Button>
+            <Button
+              onClick={playingFile === LIVE_STREAM ? stopStream : () => playStream(advancedRequest())}
+              disabled={!genTinnitusHz || genTinnitusHz <= 0}
+              variant={playingFile === LIVE_STREAM ? 'default' : 'outline'}
+              className="flex-1 w-full sm:w-auto"
+              title="Stream the active file and start playback within seconds; nothing is saved"
+            >
+              <Play className="w-4 h-4 mr-2" />
+              {playingFile === LIVE_STREAM ? 'Stop Listening' : 'Listen Now'}
+            </Button>
             <Button
               onClick={generateSoundsAdvanced}
               disabled={generating || !genTinnitusHz || genTinnitusHz <= 0}
@@ -1572,12 +2193,56 @@ export default function Home() {
               <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between p-3 bg-card rounded border gap-2">
                 <div>
                   <p className="text-sm font-semibold">
-                    {hzToLabelWithNote(generatedFiles.tinnitusHz)} • {generatedFiles.mode} mode • {generatedFiles.minutes} min
+                    {matchLabel(generatedFiles.tinnitusHz)} • {generatedFiles.mode} mode • {generatedFiles.minutes} min
                   </p>
                   <p className="text-xs text-muted-foreground mt-1">
-                    Active Band: {generatedFiles.activeBand.name}
-                    {generatedFiles.sham && ` • Sham Band: ${generatedFiles.shamBand.name}`}
+                    Active Band: {bandNames(generatedFiles.activeBands)}
+                    {generatedFiles.sham && ` • Sham Band: ${bandNames(generatedFiles.shamBands)}`}
+                    {generatedFiles.bandLogic && ` • Band logic: ${generatedFiles.bandLogic.mode}`}
+                    {generatedFiles.carrier && ` • Carrier: ${CARRIER_TYPES[generatedFiles.carrier.type] ?? NOTCH_CARRIERS[generatedFiles.carrier.type]}`}
+                    {generatedFiles.notch && ` • Notch ${generatedFiles.notch.widthOct} oct, −${generatedFiles.notch.depthDb} dB`}
+                    {generatedFiles.blockEnvelope === 'overlapAdd' && ' • Continuous blocks (not the study protocol)'}
+                    {generatedFiles.blockSchedule?.active && ` • ${generatedFiles.blockSchedule.active.blocks} blocks of ${generatedFiles.blockSchedule.active.minSec}–${generatedFiles.blockSchedule.active.maxSec} s`}
+                    {generatedFiles.upperLimit && ` • Carrier capped at ${Math.round(generatedFiles.upperLimit.carrierMaxHz)} Hz`}
                   </p>
+                  {generatedFiles.extrapolated && (
+                    <p className="text-xs text-destructive mt-1">
+                      {EXTRAPOLATED_NOTE}
+                      {generatedFiles.carrierExtension && ` • Carrier extended down to ${Math.round(generatedFiles.carrierExtension.toHz)} Hz`}
+                    </p>
+                  )}
+                  {generatedFiles.loudness?.active && (
+                    <p className="text-xs text-muted-foreground mt-1">
+                      Loudness: {generatedFiles.loudness.active.integratedLufs} LUFS • RMS {generatedFiles.loudness.active.rmsDbfs} dBFS • True peak {generatedFiles.loudness.active.truePeakDbtp} dBTP
+                    </p>
+                  )}
+                  {generatedFiles.noiseFloor && (
+                    <p className="text-xs text-muted-foreground mt-1">
+                      Noise floor: {generatedFiles.noiseFloor.rmsDbfs} dBFS ({generatedFiles.noiseFloor.lowBand.rmsDbfs} dBFS below {generatedFiles.noiseFloor.lowBand.maxHz / 1000} kHz)
+                      {' • '}{DITHER_LABELS[generatedFiles.noiseFloor.dither]}
+                      {generatedFiles.outputLevelDb !== 0 && ` • Output level ${generatedFiles.outputLevelDb} dBFS`}
+                    </p>
+                  )}
+                  {generatedFiles.sleep && <SleepEnvelope sleep={generatedFiles.sleep} />}
+                  {generatedFiles.seed !== undefined && (
+                    <p className="text-xs text-muted-foreground mt-1">
+                      Seed: {generatedFiles.seed}
+                      {' • '}
+                      <button type="button" className="underline" onClick={() => setSeed(String(generatedFiles.seed))}>
+                        reuse
+                      </button>
+                      {' • '}
+                      <button type="button" className="underline" onClick={() => downloadFile(generatedFiles.manifests.active)}>
+                        manifest
+                      </button>
+                    </p>
+                  )}
+                  {generatedFiles.bandBreakdown?.active?.map((entry) => (
+                    <p key={`${entry.channel}-${entry.band}`} className="text-xs text-muted-foreground mt-1">
+                      {entry.band}: {entry.harmonicsPerBlock.min}–{entry.harmonicsPerBlock.max} modulated harmonics per block
+                      {entry.harmonicNumbers && ` (n = ${entry.harmonicNumbers[0]}–${entry.harmonicNumbers[1]}, ${entry.frequencyRangeHz[0]}–${entry.frequencyRangeHz[1]} Hz)`}
+                    </p>
+                  ))}
                 </div>
               </div>
               
@@ -1587,7 +2252,7 @@ export default function Home() {
                   <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
                     <div>
                       <h3 className="font-semibold text-primary">Active Therapy</h3>
-                      <p className="text-xs text-muted-foreground">Band: {generatedFiles.activeBand.name}</p>
+                      <p className="text-xs text-muted-foreground">Band: {bandNames(generatedFiles.activeBands)}</p>
                     </div>
                     <div className="flex items-center gap-2">
                       <Button
@@ -1616,7 +2281,7 @@ export default function Home() {
                     <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
                       <div>
                         <h3 className="font-semibold">Control/Sham</h3>
-                        <p className="text-xs text-muted-foreground">Band: {generatedFiles.shamBand.name}</p>
+                        <p className="text-xs text-muted-foreground">Band: {bandNames(generatedFiles.shamBands)}</p>
                       </div>
                       <div className="flex items-center gap-2">
                         <Button
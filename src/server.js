@@ -2,7 +2,12 @@ import http from "node:http";
 import fs from "node:fs";
 import path from "node:path";
 import url from "node:url";
-import { generateSoundFiles } from "./soundGeneratorAPI.js";
+import os from "node:os";
+import crypto from "node:crypto";
+import { pipeline } from "node:stream";
+import { generateSoundFiles, createTherapyStream, ALGORITHM_VERSION } from "./soundGeneratorAPI.js";
+import { inspectWav, fileSource } from "./wavParser.js";
+import { PARAMETER_NAMES } from "./modulationParameters.js";
 
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 
@@ -13,8 +18,165 @@ const mime = {
   ".css": "text/css; charset=utf-8",
   ".json": "application/json; charset=utf-8",
   ".wav": "audio/wav",
+  ".flac": "audio/flac",
 };
 
+// Optional expert parameters (d, omega, mu, ...) present in a request body
+function pickModulationParameters(body) {
+  const picked = {};
+  for (const name of PARAMETER_NAMES) {
+    if (body[name] !== undefined && body[name] !== null && body[name] !== "") {
+      picked[name] = Number(body[name]);
+    }
+  }
+  return picked;
+}
+
+// Worker threads per generation request and per stream listener; the server
+// operator (not the client) caps CPU use. Unset uses up to
+// DEFAULT_GENERATOR_CONCURRENCY cores, since every request and listener
+// starts its own pool.
+const DEFAULT_GENERATOR_CONCURRENCY = 4;
+const GENERATOR_CONCURRENCY = process.env.GENERATOR_CONCURRENCY
+  ? Number(process.env.GENERATOR_CONCURRENCY)
+  : Math.min(DEFAULT_GENERATOR_CONCURRENCY, os.availableParallelism?.() ?? os.cpus().length);
+
+// Map a request (JSON body or query string) to generator options; throws
+// RangeError for input the client must fix
+function therapyOptions(params) {
+  const {
+    tinnitusHz,
+    mode = "phase",
+    notchCarrier = null,
+    minutes = 60,
+    sampleRate = 44100,
+    sampleFormat = "pcm16",
+    format = "wav",
+    useAltActive = false,
+    useAltSham = false,
+    upperLimitHz = null,
+    upperLimitMode = null,
+    bandMode = "table1",
+    bandWidthOct = 1,
+    bandTable = null,
+    activeBand = null,
+    shamBand = null,
+    qPhaseMode = "shared",
+    carrierType = "harmonic",
+    blockEnvelope = "paper",
+    blockDurations = "fixed",
+    rampShape = null,
+    generateSham = false,
+    hearingProfile = null,
+    spectralWeighting = "flat",
+    phon = null,
+    ears = null,
+    normalization = "peak",
+    targetLevel = null,
+    truePeakDb = null,
+    outputLevelDb = 0,
+    dither = "tpdf",
+    seed = null,
+    sleep = null,
+  } = params;
+
+  // Stereo requests carry one frequency per ear instead of tinnitusHz;
+  // explicit bands do not need a match at all. Multi-tone tinnitus
+  // sends an array of frequencies.
+  const matches = Array.isArray(tinnitusHz) ? tinnitusHz.map(Number) : tinnitusHz == null ? null : Number(tinnitusHz);
+  if (!ears && bandMode !== "explicit" && ![matches].flat().every((hz) => hz > 0)) {
+    throw new RangeError("Invalid tinnitusHz");
+  }
+
+  return {
+    tinnitusHz: ears ? null : matches,
+    mode: String(mode),
+    notchCarrier: notchCarrier === null ? null : String(notchCarrier),
+    minutes: Number(minutes),
+    sampleRate: Number(sampleRate),
+    sampleFormat: String(sampleFormat),
+    format: String(format),
+    useAltActive: Boolean(useAltActive),
+    useAltSham: Boolean(useAltSham),
+    upperLimitHz: upperLimitHz === null || upperLimitHz === "" ? null : Number(upperLimitHz),
+    upperLimitMode: upperLimitMode === null ? null : String(upperLimitMode),
+    bandMode: String(bandMode),
+    bandWidthOct: Number(bandWidthOct),
+    bandTable,
+    activeBand,
+    shamBand,
+    qPhaseMode: String(qPhaseMode),
+    carrierType: String(carrierType),
+    blockEnvelope: String(blockEnvelope),
+    blockDurations: String(blockDurations),
+    rampShape: rampShape === null ? null : String(rampShape),
+    generateSham: Boolean(generateSham),
+    hearingProfile,
+    spectralWeighting: String(spectralWeighting),
+    phon: phon === null || phon === "" ? null : Number(phon),
+    ears,
+    sleep,
+    normalization: String(normalization),
+    targetLevel: targetLevel === null ? null : Number(targetLevel),
+    truePeakDb: truePeakDb === null ? null : Number(truePeakDb),
+    outputLevelDb: Number(outputLevelDb),
+    dither: String(dither),
+    ...(seed !== null && seed !== "" && { seed: Number(seed) }),
+    ...pickModulationParameters(params),
+    concurrency: GENERATOR_CONCURRENCY,
+  };
+}
+
+// Query-string form of a request (GET /api/stream, which an <audio> element
+// opens without a body): objects as JSON, several tinnitusHz comma-separated
+const JSON_QUERY_PARAMS = ["ears", "activeBand", "shamBand", "bandTable", "hearingProfile", "sleep"];
+const BOOLEAN_QUERY_PARAMS = ["useAltActive", "useAltSham", "generateSham"];
+
+function queryParams(searchParams) {
+  const params = {};
+  for (const [key, value] of searchParams) {
+    if (JSON_QUERY_PARAMS.includes(key)) {
+      params[key] = JSON.parse(value);
+    } else if (BOOLEAN_QUERY_PARAMS.includes(key)) {
+      params[key] = value === "true" || value === "1";
+    } else if (key === "tinnitusHz" && value.includes(",")) {
+      params[key] = value.split(",");
+    } else {
+      params[key] = value;
+    }
+  }
+  return params;
+}
+
+// Largest upload /api/inspect accepts (bytes); a 10-hour 96 kHz float file
+// is about 14 GB per channel
+const INSPECT_MAX_BYTES = process.env.INSPECT_MAX_BYTES
+  ? Number(process.env.INSPECT_MAX_BYTES)
+  : 2 * 1024 ** 3;
+
+// Spool an upload to a temporary file so large WAVs are inspected without
+// holding them in memory; resolves with the path, or null once over the limit
+function receiveUpload(req, limit) {
+  const tmpPath = path.join(os.tmpdir(), `inspect-${crypto.randomUUID()}.wav`);
+  return new Promise((resolve, reject) => {
+    let received = 0;
+    const out = fs.createWriteStream(tmpPath);
+    req.on("data", (chunk) => {
+      received += chunk.length;
+      if (received > limit) {
+        req.unpipe(out);
+        out.destroy();
+        fs.rm(tmpPath, { force: true }, () => resolve(null));
+      }
+    });
+    pipeline(req, out, (error) => {
+      if (received > limit) return;
+      if (error) fs.rm(tmpPath, { force: true }, () => reject(error));
+      else resolve(tmpPath);
+    });
+  });
+}
+
 const server = http.createServer(async (req, res) => {
   const u = new URL(req.url, `http://${req.headers.host}`);
 
@@ -47,24 +209,10 @@ const server = http.createServer(async (req, res) => {
     req.on("end", async () => {
       try {
         const params = JSON.parse(body);
-        const { 
-          tinnitusHz, 
-          mode = "phase", 
-          minutes = 60,
-          useAltActive = false,
-          useAltSham = false,
-          generateSham = false,
-          useProgress = false
-        } = params;
-
-        if (!tinnitusHz || tinnitusHz <= 0) {
-          res.writeHead(400, { "Content-Type": "application/json" });
-          res.end(JSON.stringify({ error: "Invalid tinnitusHz" }));
-          return;
-        }
+        const options = therapyOptions(params);
 
         // If progress requested, use Server-Sent Events
-        if (useProgress) {
+        if (params.useProgress) {
           res.writeHead(200, {
             ...corsHeaders,
             "Content-Type": "text/event-stream",
@@ -90,12 +238,7 @@ const server = http.createServer(async (req, res) => {
 
           // Run generation asynchronously
           generateSoundFiles({
-            tinnitusHz: Number(tinnitusHz),
-            mode: String(mode),
-            minutes: Number(minutes),
-            useAltActive: Boolean(useAltActive),
-            useAltSham: Boolean(useAltSham),
-            generateSham: Boolean(generateSham),
+            ...options,
             onProgress: sendProgress,
           })
             .then((result) => {
@@ -110,27 +253,113 @@ const server = http.createServer(async (req, res) => {
             });
         } else {
           // Standard request without progress
-          const result = await generateSoundFiles({
-            tinnitusHz: Number(tinnitusHz),
-            mode: String(mode),
-            minutes: Number(minutes),
-            useAltActive: Boolean(useAltActive),
-            useAltSham: Boolean(useAltSham),
-            generateSham: Boolean(generateSham),
-          });
+          const result = await generateSoundFiles(options);
 
           res.writeHead(200, { ...corsHeaders, "Content-Type": "application/json" });
           res.end(JSON.stringify(result));
         }
       } catch (error) {
         console.error("Generation error:", error);
-        res.writeHead(500, { ...corsHeaders, "Content-Type": "application/json" });
+        // RangeError signals an invalid parameter rather than a server fault
+        const status = error instanceof RangeError ? 400 : 500;
+        res.writeHead(status, { ...corsHeaders, "Content-Type": "application/json" });
         res.end(JSON.stringify({ error: error.message }));
       }
     });
     return;
   }
 
+  // API endpoint for progressive playback: streams one WAV (fileType active
+  // or sham) with chunked transfer while its blocks are rendered. The header
+  // uses the unknown-length convention; nothing is written to disk.
+  if (u.pathname === "/api/stream") {
+    if (req.method !== "GET") {
+      res.writeHead(405, { ...corsHeaders, "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Method not allowed" }));
+      return;
+    }
+
+    let stream;
+    try {
+      const params = queryParams(u.searchParams);
+      stream = createTherapyStream({
+        ...therapyOptions(params),
+        fileType: String(params.fileType ?? "active"),
+        unknownLength: true,
+      });
+    } catch (error) {
+      console.error("Stream error:", error);
+      // Bad JSON in a query parameter is a client error as well
+      const status = error instanceof RangeError || error instanceof SyntaxError ? 400 : 500;
+      res.writeHead(status, { ...corsHeaders, "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: error.message }));
+      return;
+    }
+
+    // Raw PCM carries no header, so its layout travels in response headers
+    const { sampleRate, sampleFormat, numChannels } = stream.info;
+    const pcmHeaders = stream.info.format === "pcm" ? {
+      "X-Sample-Rate": String(sampleRate),
+      "X-Sample-Format": sampleFormat,
+      "X-Channels": String(numChannels),
+    } : {};
+    res.writeHead(200, {
+      ...corsHeaders,
+      "Content-Type": stream.info.mimeType,
+      "Cache-Control": "no-cache",
+      "X-Accel-Buffering": "no", // Disable buffering for nginx
+      "X-Therapy-Seed": String(stream.info.seed),
+      ...pcmHeaders,
+      "Access-Control-Expose-Headers": ["X-Therapy-Seed", ...Object.keys(pcmHeaders)].join(", "),
+    });
+    // Backpressure from the socket pauses rendering; a closed connection
+    // ends the stream and releases its workers
+    pipeline(stream, res, (error) => {
+      if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        console.error("Stream error:", error);
+      }
+    });
+    return;
+  }
+
+  // API endpoint for auditing a WAV (raw request body): format, duration,
+  // embedded generation record and integrity checks (see wavParser.js)
+  if (u.pathname === "/api/inspect") {
+    if (req.method !== "POST") {
+      res.writeHead(405, { ...corsHeaders, "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Method not allowed" }));
+      return;
+    }
+
+    let tmpPath = null;
+    try {
+      tmpPath = await receiveUpload(req, INSPECT_MAX_BYTES);
+      if (!tmpPath) {
+        res.writeHead(413, { ...corsHeaders, "Content-Type": "application/json", "Connection": "close" });
+        res.end(JSON.stringify({ error: `File exceeds ${INSPECT_MAX_BYTES} bytes` }));
+        return;
+      }
+      const fd = fs.openSync(tmpPath, "r");
+      let report;
+      try {
+        report = inspectWav(fileSource(fd), { algorithmVersion: ALGORITHM_VERSION });
+      } finally {
+        fs.closeSync(fd);
+      }
+      res.writeHead(200, { ...corsHeaders, "Content-Type": "application/json" });
+      res.end(JSON.stringify(report));
+    } catch (error) {
+      console.error("Inspect error:", error);
+      // RangeError: the upload is not a WAV file
+      const status = error instanceof RangeError ? 400 : 500;
+      res.writeHead(status, { ...corsHeaders, "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: error.message }));
+    } finally {
+      if (tmpPath) fs.rm(tmpPath, { force: true }, () => {});
+    }
+    return;
+  }
+
   // API endpoint for downloading generated files
   if (u.pathname.startsWith("/api/download/")) {
     const filename = u.pathname.replace("/api/download/", "");
@@ -144,7 +373,7 @@ const server = http.createServer(async (req, res) => {
 
     const stat = fs.statSync(filePath);
     res.writeHead(200, {
-      "Content-Type": "audio/wav",
+      "Content-Type": mime[path.extname(filePath)] ?? "application/octet-stream",
       "Content-Length": stat.size,
       "Content-Disposition": `attachment; filename="${filename}"`,
     });
@@ -0,0 +1,133 @@
+/**
+ * Sleep program: a session-level envelope for bedtime listening.
+ *
+ * The envelope multiplies the finished blocks (after their own ramps and
+ * level normalisation), so it shapes the whole file rather than each block:
+ *
+ *   gain(t) = fadeIn(t) * taper(t) * fadeOut(t)
+ *
+ * - fadeIn:  raised cosine from silence to full level over fadeInSec
+ * - taper:   level falling linearly in dB by taperDb over the last
+ *            taperMinutes of the file (clipped to the file length)
+ * - fadeOut: raised cosine to silence over the last fadeOutSec
+ *
+ * The gain never exceeds 1, so the envelope cannot raise a block above its
+ * normalised level or true-peak ceiling. The ranges are shared with the UI,
+ * so this module must stay free of Node-only imports.
+ */
+
+// Defaults and legal ranges (inclusive)
+export const SLEEP_SPECS = {
+  fadeInSec:    { default: 60,  min: 0,   max: 1800, unit: "s",   label: "Fade-in" },
+  taperDb:      { default: -10, min: -40, max: 0,    unit: "dB",  label: "Level taper" },
+  taperMinutes: { default: 30,  min: 0,   max: 600,  unit: "min", label: "Taper duration (end of file)" },
+  fadeOutSec:   { default: 120, min: 0,   max: 1800, unit: "s",   label: "Final fade to silence" },
+};
+
+export const SLEEP_DEFAULTS = Object.fromEntries(
+  Object.entries(SLEEP_SPECS).map(([name, spec]) => [name, spec.default])
+);
+
+// Points in the reported envelope, enough to draw it
+const ENVELOPE_POINTS = 120;
+
+/**
+ * Validate a sleep request against the file length.
+ *
+ * @param {boolean|Object|null} sleep - null/false for none, true for the
+ *   defaults, or any subset of SLEEP_SPECS keys
+ * @param {number} totalSec - File duration in seconds
+ * @returns {Object|null} {fadeInSec, taperDb, taperMinutes, fadeOutSec, totalSec}, or null
+ * @throws {RangeError} If a value is out of range or the fades do not fit the file
+ */
+export function resolveSleepProgram(sleep, totalSec) {
+  if (sleep == null || sleep === false) return null;
+  if (sleep !== true && typeof sleep !== "object") {
+    throw new RangeError(`Invalid sleep: ${sleep} (expected true or an object)`);
+  }
+
+  const program = { ...SLEEP_DEFAULTS };
+  for (const [name, spec] of Object.entries(SLEEP_SPECS)) {
+    const value = sleep === true ? undefined : sleep[name];
+    if (value === undefined || value === null) continue;
+    const x = Number(value);
+    if (!Number.isFinite(x) || x < spec.min || x > spec.max) {
+      throw new RangeError(`Invalid sleep ${name}: ${value} (expected ${spec.min}..${spec.max})`);
+    }
+    program[name] = x;
+  }
+  if (program.fadeInSec + program.fadeOutSec > totalSec) {
+    throw new RangeError(`Sleep fades (${program.fadeInSec} s + ${program.fadeOutSec} s) exceed the file duration (${totalSec} s)`);
+  }
+  return { ...program, totalSec };
+}
+
+/**
+ * Envelope gain at a time in the file.
+ *
+ * @param {Object} program - Result of resolveSleepProgram()
+ * @param {number} sec - Time from the start of the file
+ * @returns {number} Linear amplitude, 0..1
+ */
+export function sleepGain({ fadeInSec, taperDb, taperMinutes, fadeOutSec, totalSec }, sec) {
+  let gain = 1;
+  if (sec < fadeInSec) {
+    gain *= 0.5 - 0.5 * Math.cos(Math.PI * sec / fadeInSec);
+  }
+  const taperSec = Math.min(taperMinutes * 60, totalSec);
+  const taperStart = totalSec - taperSec;
+  if (taperSec > 0 && sec > taperStart) {
+    gain *= Math.pow(10, (taperDb * Math.min(1, (sec - taperStart) / taperSec)) / 20);
+  }
+  const fadeOutStart = totalSec - fadeOutSec;
+  if (sec > fadeOutStart) {
+    gain *= 0.5 + 0.5 * Math.cos(Math.PI * Math.min(1, (sec - fadeOutStart) / fadeOutSec));
+  }
+  return gain;
+}
+
+/**
+ * Apply the envelope to an interleaved block in place.
+ *
+ * @param {Float32Array} samples - Interleaved block
+ * @param {Object} program - Result of resolveSleepProgram()
+ * @param {Object} position
+ * @param {number} position.startFrame - Frame of the block's first sample in the file
+ * @param {number} position.sampleRate - Sample rate in Hz
+ * @param {number} position.numChannels - Interleaved channels
+ */
+export function applySleepEnvelope(samples, program, { startFrame, sampleRate, numChannels }) {
+  const frames = samples.length / numChannels;
+  const startSec = startFrame / sampleRate;
+  const endSec = (startFrame + frames) / sampleRate;
+  const taperStart = program.totalSec - Math.min(program.taperMinutes * 60, program.totalSec);
+  const fadeOutStart = program.totalSec - program.fadeOutSec;
+  // Most of a long file sits at full level
+  if (startSec >= program.fadeInSec && endSec <= Math.min(taperStart, fadeOutStart)) return;
+
+  for (let i = 0; i < frames; i++) {
+    const gain = sleepGain(program, (startFrame + i) / sampleRate);
+    for (let c = 0; c < numChannels; c++) {
+      samples[i * numChannels + c] *= gain;
+    }
+  }
+}
+
+/**
+ * Sample the envelope for display, including its corner points.
+ *
+ * @param {Object} program - Result of resolveSleepProgram()
+ * @returns {Array<Object>} [{sec, gain}] in time order
+ */
+export function sleepEnvelope(program) {
+  const { fadeInSec, taperMinutes, fadeOutSec, totalSec } = program;
+  const corners = [fadeInSec, totalSec - Math.min(taperMinutes * 60, totalSec), totalSec - fadeOutSec];
+  const times = new Set(corners.filter((sec) => sec > 0 && sec < totalSec));
+  for (let k = 0; k <= ENVELOPE_POINTS; k++) times.add((totalSec * k) / ENVELOPE_POINTS);
+
+  // Points stay unrounded: a corner close to a grid point would otherwise
+  // repeat its time (callers round for display)
+  return [...times]
+    .sort((a, b) => a - b)
+    .map((sec) => ({ sec, gain: sleepGain(program, sec) }));
+}
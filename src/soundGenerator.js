@@ -16,13 +16,19 @@
  * Modes:
  *   --mode amplitude | phase
  *
+ * Bands (see bandMapping.js):
+ *   --bandMode table1 | octave | table   (default table1, paper Table 1)
+ *   --bandTable mapping.json             (required for --bandMode table)
+ *   --useAltActive / --useAltSham        (A2/C2 contingency bands)
+ *
  * Notes:
  * - This script implements Eq (1)-(5) from the paper.
  * - Hearing-slope correction profiles are NOT implemented (flat spectrum carrier).
  */
 
-const fs = require("fs");
-const path = require("path");
+import fs from "fs";
+import path from "path";
+import { resolveBandSpec, mapMatch, CONTINGENCY_BAND_MODES } from "./bandMapping.js";
 
 // -------------------- CLI parsing --------------------
 function parseArgs(argv) {
@@ -72,77 +78,40 @@ const mu = 4.5;      // mean SMR (cycles/octave)
 const r = 3.0;       // SMR variability (cycles/octave)
 const nu = 0.125;    // SMR rate (Hz) => 8 s cycle
 
-// Carrier / harmonic limits per paper:
-const carrierMinHz = 1000;
+// Carrier / harmonic limits per paper (matches below 1 kHz lower the floor
+// to their extrapolated bands, see below):
+const paperCarrierMinHz = 1000;
 const carrierMaxHz = 16000;
 
-// -------------------- Table 1 band mapping (preferred A1/C1, with contingency A2/C2 available) --------------------
-const BANDS = [
-  { name: "1-2k",    lo: 1000, hi: 2000 },
-  { name: "1.4-2.8k",lo: 1400, hi: 2800 },
-  { name: "2-4k",    lo: 2000, hi: 4000 },
-  { name: "2.8-5.7k",lo: 2800, hi: 5700 },
-  { name: "4-8k",    lo: 4000, hi: 8000 },
-  { name: "5.7-11k", lo: 5700, hi: 11000 },
-  { name: "8-16k",   lo: 8000, hi: 16000 },
-];
-
-// nearest-match keys from the paper’s tinnitus-match set (kHz):
-const MATCH_KEYS_KHZ = [1.0, 1.2, 1.4, 1.7, 2.0, 2.4, 2.8, 3.4, 4.0, 4.8, 5.7, 6.7, 8.0, 9.5, 11.0, 13.0, 16.0];
-
-// mapping: keyKHz -> { activePreferredBandIdx, activeAltBandIdx|null, shamPreferredBandIdx, shamAltBandIdx|null }
-const TABLE1_MAP = new Map([
-  [1.0,  { a1: 0, a2: null, c1: 2, c2: null }],
-  [1.2,  { a1: 0, a2: null, c1: 2, c2: null }],
-  [1.4,  { a1: 0, a2: null, c1: 2, c2: null }],
-  [1.7,  { a1: 1, a2: 0,    c1: 3, c2: null }],
-  [2.0,  { a1: 1, a2: null, c1: 3, c2: null }],
-  [2.4,  { a1: 2, a2: 1,    c1: 4, c2: null }],
-  [2.8,  { a1: 2, a2: null, c1: 4, c2: null }],
-  [3.4,  { a1: 3, a2: 2,    c1: 5, c2: null }],
-  [4.0,  { a1: 3, a2: null, c1: 5, c2: null }],
-  [4.8,  { a1: 4, a2: 3,    c1: 2, c2: 1    }], // sham has C1 and C2
-  [5.7,  { a1: 4, a2: null, c1: 2, c2: null }],
-  [6.7,  { a1: 5, a2: 4,    c1: 3, c2: 2    }], // sham has C1 and C2
-  [8.0,  { a1: 5, a2: null, c1: 3, c2: null }],
-  [9.5,  { a1: 5, a2: null, c1: 3, c2: null }],
-  [11.0, { a1: 6, a2: null, c1: 4, c2: null }],
-  [13.0, { a1: 6, a2: null, c1: 4, c2: null }],
-  [16.0, { a1: 6, a2: null, c1: 4, c2: null }],
-]);
-
-function nearestMatchKeyKHz(freqHz) {
-  const kHz = freqHz / 1000;
-  let best = MATCH_KEYS_KHZ[0];
-  let bestD = Math.abs(kHz - best);
-  for (const k of MATCH_KEYS_KHZ) {
-    const d = Math.abs(kHz - k);
-    if (d < bestD) {
-      bestD = d;
-      best = k;
-    }
-  }
-  return best;
+// -------------------- Band mapping (Table 1 by default) --------------------
+const bandMode = String(args.bandMode ?? "table1");
+if (!CONTINGENCY_BAND_MODES.includes(bandMode)) {
+  console.error(`Invalid --bandMode. Use one of: ${CONTINGENCY_BAND_MODES.join(", ")}.`);
+  process.exit(1);
 }
 
-const matchKey = nearestMatchKeyKHz(tinnitusHz);
-const mapEntry = TABLE1_MAP.get(matchKey);
-if (!mapEntry) {
-  console.error("Internal mapping error for match key:", matchKey);
+let bandSpec;
+try {
+  bandSpec = resolveBandSpec({
+    bandMode,
+    bandTable: args.bandTable ? JSON.parse(fs.readFileSync(String(args.bandTable), "utf8")) : null,
+    useAltActive: Boolean(args.useAltActive ?? false),
+    useAltSham: Boolean(args.useAltSham ?? false),
+    generateSham: true,
+  });
+} catch (error) {
+  console.error(`Invalid band options: ${error.message}`);
   process.exit(1);
 }
 
-const useAltActive = Boolean(args.useAltActive ?? false);
-const useAltSham = Boolean(args.useAltSham ?? false);
-
-const activeBandIdx = (useAltActive && mapEntry.a2 != null) ? mapEntry.a2 : mapEntry.a1;
-const shamBandIdx   = (useAltSham && mapEntry.c2 != null)   ? mapEntry.c2 : mapEntry.c1;
-
-const activeBand = BANDS[activeBandIdx];
-const shamBand = BANDS[shamBandIdx];
+const { activeBand, shamBand, bandLogic } = mapMatch(tinnitusHz, bandSpec, { carrierMinHz: paperCarrierMinHz, carrierMaxHz });
+const carrierMinHz = Math.min(paperCarrierMinHz, activeBand.lo, shamBand.lo);
+if (bandLogic.extrapolated) {
+  console.warn(`Warning: ${tinnitusHz} Hz is below Table 1; the bands are extrapolated beyond the paper and the carrier starts at ${Math.round(carrierMinHz)} Hz`);
+}
 
 console.log("Tinnitus Hz:", tinnitusHz);
-console.log("Nearest paper match key (kHz):", matchKey);
+console.log("Band logic:", bandLogic);
 console.log("Mode:", mode);
 console.log("Active band:", activeBand);
 console.log("Sham band:", shamBand);
@@ -0,0 +1,386 @@
+/**
+ * Type declarations for the sound generator library API (soundGeneratorAPI.js).
+ */
+
+import type { Readable } from "stream";
+
+export declare const ALGORITHM_VERSION: number;
+
+export type ModulationMode = "phase" | "amplitude" | "notched";
+export type NotchCarrier = "noise" | "harmonic";
+export type SampleRate = 44100 | 48000 | 96000;
+export type SampleFormat = "pcm16" | "pcm24" | "float32";
+export type BandMode = "table1" | "octave" | "table" | "centered" | "explicit";
+export type QPhaseMode = "shared" | "independent";
+export type CarrierType = "harmonic" | "jittered" | "glide" | "ripple";
+export type BlockEnvelope = "paper" | "overlapAdd";
+export type BlockDurations = "fixed" | "uniform";
+export type RampShape = "raisedCosine" | "hann" | "linear" | "equalPower";
+export type Normalization = "peak" | "rms" | "lufs";
+export type DitherMode = "none" | "tpdf" | "shaped";
+export type FileType = "active" | "sham";
+
+export interface Band {
+  lo: number;
+  hi: number;
+  name?: string;
+}
+
+/** Band mapping table (bandMode "table"), in the schema of PAPER_TABLE in bandMapping.js */
+export interface BandTable {
+  name?: string;
+  bands: { name: string; lo: number; hi: number }[];
+  /** a1/c1 name the preferred bands, a2/c2 the optional contingencies */
+  rows: { matchKHz: number; a1: string; a2?: string | null; c1: string; c2?: string | null }[];
+}
+
+export interface AudiogramPoint {
+  hz: number;
+  dbHL: number;
+}
+
+export type HearingProfileInput =
+  | string
+  | {
+      preset?: string;
+      audiogram?: AudiogramPoint[] | Record<string, number>;
+      compensation?: number;
+      maxGainDb?: number;
+    };
+
+export interface HearingProfile {
+  name: string;
+  audiogram: AudiogramPoint[];
+  compensation: number;
+  maxGainDb: number;
+}
+
+export type UpperLimitMode = "truncate" | "rolloff";
+
+export interface UpperLimit {
+  hz: number;
+  mode: UpperLimitMode;
+  /** Highest carrier frequency actually drawn */
+  carrierMaxHz: number;
+}
+
+export interface Notch {
+  carrier: NotchCarrier;
+  widthOct: number;
+  depthDb: number;
+}
+
+/** Carrier lowered below carrierMinHz to the bands of matches below 1 kHz */
+export interface CarrierExtension {
+  fromHz: number;
+  toHz: number;
+}
+
+export type SpectralWeightingType = "flat" | "pink" | "equalLoudness";
+
+export interface SpectralWeighting {
+  weighting: SpectralWeightingType;
+  /** Contour level for "equalLoudness", null otherwise */
+  phon: number | null;
+  /** Gain relative to 1 kHz across the carrier range */
+  curve: { hz: number; gainDb: number }[];
+}
+
+export interface ModulationParameters {
+  d: number;
+  omega: number;
+  mu: number;
+  r: number;
+  nu: number;
+  f0MinHz: number;
+  f0MaxHz: number;
+  carrierMinHz: number;
+  carrierMaxHz: number;
+  jitter: number;
+  glideOct: number;
+  rippleDensity: number;
+  notchWidthOct: number;
+  notchDepthDb: number;
+  blockSec: number;
+  blockSecMin: number;
+  blockSecMax: number;
+  rampSec: number;
+  targetPeak: number;
+}
+
+export interface SleepSettings {
+  fadeInSec: number;
+  taperDb: number;
+  taperMinutes: number;
+  fadeOutSec: number;
+}
+
+export interface SleepProgram extends SleepSettings {
+  totalSec: number;
+  /** Linear gain over time, for display */
+  envelope: { sec: number; gain: number }[];
+}
+
+export interface ProgressEvent {
+  file: string | null;
+  fileType: FileType;
+  block: number;
+  totalBlocks: number;
+  /** 0..1 across the whole request (active 0-0.5 and sham 0.5-1 when generateSham) */
+  progress: number;
+}
+
+/** Options shared by generateSoundFiles, renderTherapy and createTherapyStream */
+export interface TherapyOptions extends Partial<ModulationParameters> {
+  /** Tinnitus match in Hz, or several for multi-tone tinnitus (mono output) */
+  tinnitusHz?: number | number[];
+  /** Stereo output: match per ear, null for an unmodulated carrier (replaces tinnitusHz) */
+  ears?: { left: number | number[] | null; right: number | number[] | null } | null;
+  /** "notched": unmodulated carrier with a notch centred on each match (not the study protocol) */
+  mode?: ModulationMode;
+  /** Carrier of the notched mode (default "noise"; "harmonic" uses carrierType) */
+  notchCarrier?: NotchCarrier | null;
+  minutes?: number;
+  sampleRate?: SampleRate;
+  sampleFormat?: SampleFormat;
+  useAltActive?: boolean;
+  useAltSham?: boolean;
+  /** Upper audible limit from the pitch match: caps the carrier and selects A2/C2 where needed */
+  upperLimitHz?: number | null;
+  upperLimitMode?: UpperLimitMode | null;
+  bandMode?: BandMode;
+  bandWidthOct?: number;
+  bandTable?: BandTable | null;
+  activeBand?: Band | Band[] | null;
+  shamBand?: Band | Band[] | null;
+  qPhaseMode?: QPhaseMode;
+  carrierType?: CarrierType;
+  /** "overlapAdd" crossfades blocks into a continuous sound (not the study protocol) */
+  blockEnvelope?: BlockEnvelope;
+  /** "uniform" draws each block length from blockSecMin..blockSecMax */
+  blockDurations?: BlockDurations;
+  /** Default "raisedCosine" (paper); overlapAdd allows only "equalPower" */
+  rampShape?: RampShape | null;
+  generateSham?: boolean;
+  hearingProfile?: HearingProfileInput | null;
+  /** Per-harmonic carrier weighting (default "flat", as in the paper) */
+  spectralWeighting?: SpectralWeightingType;
+  /** Equal-loudness contour level in phon (20..90, default 60) */
+  phon?: number | null;
+  normalization?: Normalization;
+  targetLevel?: number | null;
+  truePeakDb?: number | null;
+  /** Output level in dBFS, -60..0 (default 0): gain on the finished signal */
+  outputLevelDb?: number;
+  /** Requantisation of pcm16/pcm24 output (default "tpdf"); ignored for float32 */
+  dither?: DitherMode;
+  /** Session envelope for bedtime listening: true for the defaults */
+  sleep?: boolean | Partial<SleepSettings> | null;
+  /** Master seed, integer 0..4294967295 (default random) */
+  seed?: number;
+  /** Worker threads for block rendering, 1..64 (default: available cores, at most 64; 1 renders in-process) */
+  concurrency?: number;
+}
+
+export interface LoudnessMeasurement {
+  integratedLufs: number | null;
+  rmsDbfs: number | null;
+  samplePeakDbfs: number | null;
+  truePeakDbtp: number | null;
+}
+
+export interface BandBreakdownEntry {
+  /** "mono", "left" or "right" */
+  channel: string;
+  band: string;
+  lo: number;
+  hi: number;
+  centerHz: number;
+  harmonicsPerBlock: { min: number; mean: number; max: number };
+  harmonicNumbers: [number, number] | null;
+  frequencyRangeHz: [number, number] | null;
+}
+
+export interface BlockRecord {
+  index: number;
+  seed: number;
+  startSec: number;
+  seconds: number;
+  f0: number | null;
+  f0End?: number;
+  /** null (and no q) in the notched mode */
+  p: number | null;
+  q: number | number[];
+}
+
+export interface Manifest {
+  algorithmVersion: number;
+  createdAt: string;
+  file: string | null;
+  fileType: FileType;
+  seed: number;
+  fileSeed: number;
+  /** Complete request; passing it back reproduces the output bit for bit */
+  request: TherapyOptions & { format: string | null };
+  channelBands: Band[][];
+  bandLogic: Record<string, unknown>;
+  carrier: CarrierSummary;
+  loudness: LoudnessMeasurement;
+  bandBreakdown: BandBreakdownEntry[];
+  blockSchedule: BlockScheduleSummary;
+  blocks: BlockRecord[];
+}
+
+export interface BlockScheduleSummary {
+  blocks: number;
+  minSec: number;
+  maxSec: number;
+  meanSec: number;
+}
+
+export interface CarrierSummary {
+  /** "noise" for the notched mode's noise carrier */
+  type: CarrierType | "noise";
+  jitter?: number;
+  glideOct?: number;
+  rippleDensity?: number;
+}
+
+export interface LevelSummary {
+  mode: Normalization;
+  targetLevel: number | null;
+  unit: "dBFS" | "LUFS" | null;
+  truePeakDb: number | null;
+}
+
+/** Theoretical requantisation noise of integer output (RMS, full-scale sine -3.01 dBFS) */
+export interface NoiseFloor {
+  dither: DitherMode;
+  bitsPerSample: 16 | 24;
+  rmsDbfs: number;
+  /** Noise below maxHz, where noise shaping lowers it */
+  lowBand: { maxHz: number; rmsDbfs: number };
+}
+
+export interface EarBands {
+  tinnitusHz: number | number[] | null;
+  activeBand: Band | null;
+  shamBand: Band | null;
+  activeBands: Band[];
+  shamBands: Band[];
+  bandLogic: Record<string, unknown> | null;
+}
+
+/** Result metadata common to all entry points */
+export interface TherapyInfo {
+  tinnitusHz: number | number[] | null;
+  mode: ModulationMode;
+  minutes: number;
+  channels: number;
+  format: string | null;
+  sampleRate: SampleRate;
+  sampleFormat: SampleFormat;
+  activeBand: Band | null;
+  shamBand: Band | null;
+  activeBands: Band[];
+  shamBands: Band[];
+  bandLogic: Record<string, unknown>;
+  /** A band reaches below 1 kHz, beyond the published protocol */
+  extrapolated: boolean;
+  carrierExtension: CarrierExtension | null;
+  upperLimit: UpperLimit | null;
+  qPhaseMode: QPhaseMode;
+  carrier: CarrierSummary;
+  notch: Notch | null;
+  blockEnvelope: BlockEnvelope;
+  blockDurations: BlockDurations;
+  rampShape: RampShape;
+  ears: { left: EarBands; right: EarBands } | null;
+  hearingProfile: HearingProfile;
+  spectralWeighting: SpectralWeighting;
+  sleep: SleepProgram | null;
+  outputLevelDb: number;
+  /** null for float32 output */
+  noiseFloor: NoiseFloor | null;
+  parameters: ModulationParameters;
+  concurrency: number;
+  seed: number;
+  seeds: { active: number; sham: number | null };
+  algorithmVersion: number;
+}
+
+export interface GenerateSoundFilesOptions extends TherapyOptions {
+  format?: "wav" | "flac";
+  onProgress?: ((event: ProgressEvent) => void) | null;
+}
+
+export interface GenerateSoundFilesResult extends TherapyInfo {
+  /** File names inside src/generated */
+  active: string;
+  sham: string | null;
+  bandBreakdown: { active: BandBreakdownEntry[]; sham: BandBreakdownEntry[] | null };
+  blockSchedule: { active: BlockScheduleSummary; sham: BlockScheduleSummary | null };
+  loudness: LevelSummary & { active: LoudnessMeasurement; sham: LoudnessMeasurement | null };
+  manifests: { active: string; sham: string | null };
+}
+
+export interface RenderTherapyOptions extends TherapyOptions {
+  /** Encoding of `data`: raw little-endian PCM in sampleFormat, or null for samples only */
+  format?: "wav" | "flac" | "pcm" | null;
+  onProgress?: ((event: ProgressEvent) => void) | null;
+}
+
+export interface RenderedFile {
+  /** Interleaved samples, -1..1 */
+  samples: Float32Array;
+  data: Buffer | null;
+  numChannels: number;
+  frames: number;
+  loudness: LoudnessMeasurement;
+  bandBreakdown: BandBreakdownEntry[];
+  blockSchedule: BlockScheduleSummary;
+  manifest: Manifest;
+}
+
+export interface RenderTherapyResult extends TherapyInfo {
+  active: RenderedFile;
+  sham: RenderedFile | null;
+  loudness: LevelSummary & { active: LoudnessMeasurement; sham: LoudnessMeasurement | null };
+}
+
+export interface TherapyStreamOptions extends TherapyOptions {
+  format?: "wav" | "pcm";
+  fileType?: FileType;
+  /** Write 0xFFFFFFFF into the WAV size fields (live stream of undeclared length) */
+  unknownLength?: boolean;
+}
+
+export interface TherapyStreamSummary {
+  loudness: LoudnessMeasurement;
+  bandBreakdown: BandBreakdownEntry[];
+  blockSchedule: BlockScheduleSummary;
+  manifest: Manifest;
+}
+
+export interface TherapyStream extends Readable {
+  info: TherapyInfo & {
+    fileType: FileType;
+    numChannels: number;
+    frames: number;
+    /** null for a WAV stream with unknownLength */
+    byteLength: number | null;
+    /** "audio/wav", or "application/octet-stream" for raw little-endian "pcm" */
+    mimeType: "audio/wav" | "application/octet-stream";
+  };
+  on(event: "summary", listener: (summary: TherapyStreamSummary) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/** Generate the active (and optional sham) therapy files with JSON manifests in src/generated. */
+export declare function generateSoundFiles(options: GenerateSoundFilesOptions): Promise<GenerateSoundFilesResult>;
+
+/** Render therapy audio into memory; identical samples to generateSoundFiles for the same request. */
+export declare function renderTherapy(options: RenderTherapyOptions): Promise<RenderTherapyResult>;
+
+/** Stream therapy audio as WAV or raw PCM bytes, rendering blocks on demand. */
+export declare function createTherapyStream(options: TherapyStreamOptions): TherapyStream;
@@ -8,6 +8,8 @@
  *  - sham.wav   : same modulation but in control band (Table 1 mapping)
  *
  * Default: 60 minutes, 44.1 kHz, mono, 16-bit PCM, 4 s blocks with 1 s ramps.
+ * Also: 48/96 kHz, 24-bit PCM or 32-bit IEEE float, stereo (per-ear) output,
+ * and lossless FLAC instead of WAV.
  *
  * This module implements Eq (1)-(5) from the paper:
  * - Eq (1): Carrier signal with harmonics
@@ -17,77 +19,199 @@
  * - Eq (5): SMR modulation S(t) = μ + r sin(p + 2π ν t)
  *
  * Notes:
- * - Hearing-slope correction profiles are NOT implemented (flat spectrum carrier).
+ * - Blocks are ramped in and out (paper) by default; "overlapAdd" crossfades
+ *   them into a continuous sound instead (a deviation from the protocol).
+ * - Blocks are peak-normalised per block (paper) by default; "rms"/"lufs"
+ *   normalisation holds every block at one level with a true-peak limiter.
+ * - Integer output is requantised with TPDF dither (optionally noise-shaped)
+ *   after an optional master output level; see dither.js.
+ * - Hearing-slope correction profiles (audiogram or named preset) apply a
+ *   per-harmonic gain to the carrier; default is a flat spectrum.
+ * - Spectral weighting (pink or inverse equal loudness) multiplies the same
+ *   per-harmonic gain; see spectralWeighting.js.
  * - Modulation is applied only to frequencies within the target band (active or sham).
+ * - mode "notched" replaces the modulation with a spectral notch around the
+ *   match in an unmodulated noise or harmonic carrier (not the study
+ *   protocol); see noiseCarrier.js.
  */
 
 import fs from "fs";
 import path from "path";
 import url from "url";
+import os from "os";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { resolveHearingProfile, buildHarmonicGain } from "./hearingProfiles.js";
+import {
+  resolveModulationParameters, THERAPY_MODES, NOTCH_CARRIERS, CARRIER_TYPES, BLOCK_ENVELOPES, BLOCK_DURATIONS, RAMP_SHAPES,
+  UPPER_LIMIT_MODES,
+} from "./modulationParameters.js";
+import { FlacEncoder } from "./flacEncoder.js";
+import { BlockWorkerPool } from "./blockWorkerPool.js";
+import { resolveNormalization, measureBlockLevel, envelopeLevelDb, limitTruePeak, LoudnessMeter } from "./loudness.js";
+import { WAV_METADATA_CHUNK_ID } from "./wavParser.js";
+import { resolveSleepProgram, applySleepEnvelope, sleepEnvelope } from "./sleepProgram.js";
+import { resolveOutputStage, noiseFloor, Quantizer, DEFAULT_DITHER } from "./dither.js";
+import { resolveSpectralWeighting, buildSpectralGain, weightingCurve } from "./spectralWeighting.js";
+import { resolveBandSpec, mapMatch, matchCarrier, explicitBand, clipBand, PAPER_CARRIER_MIN_HZ } from "./bandMapping.js";
+import { synthesizeNoise, noiseBinsIn } from "./noiseCarrier.js";
 
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 
+// Version of the rendering algorithm, recorded in every manifest. Bump it
+// whenever the same request and seed would no longer give identical samples.
+export const ALGORITHM_VERSION = 3;
+
 // ==================== Modulation Parameters (from paper) ====================
-// These parameters define the cross-frequency de-correlating modulation:
-const d = 1.0;       // modulation depth (Eq 2, 3)
-const omega = 1.0;   // temporal modulation rate (Hz) - Eq 2, 3
-const mu = 4.5;      // mean SMR (cycles/octave) - Eq 5
-const r = 3.0;       // SMR variability (cycles/octave) - Eq 5
-const nu = 0.125;    // SMR rate (Hz) => 8 s cycle - Eq 5
-
-// Carrier / harmonic limits per paper:
-const carrierMinHz = 1000;
-const carrierMaxHz = 16000;
-
-// ==================== Table 1 Band Mapping ====================
-// Frequency bands for modulation (from paper Table 1)
-const BANDS = [
-  { name: "1-2k",    lo: 1000, hi: 2000 },
-  { name: "1.4-2.8k",lo: 1400, hi: 2800 },
-  { name: "2-4k",    lo: 2000, hi: 4000 },
-  { name: "2.8-5.7k",lo: 2800, hi: 5700 },
-  { name: "4-8k",    lo: 4000, hi: 8000 },
-  { name: "5.7-11k", lo: 5700, hi: 11000 },
-  { name: "8-16k",   lo: 8000, hi: 16000 },
-];
-
-// Nearest-match keys from the paper's tinnitus-match set (kHz):
-const MATCH_KEYS_KHZ = [1.0, 1.2, 1.4, 1.7, 2.0, 2.4, 2.8, 3.4, 4.0, 4.8, 5.7, 6.7, 8.0, 9.5, 11.0, 13.0, 16.0];
-
-// Mapping: keyKHz -> { activePreferredBandIdx, activeAltBandIdx|null, shamPreferredBandIdx, shamAltBandIdx|null }
-// A1/C1 are preferred, A2/C2 are contingency options for inaudible frequencies
-const TABLE1_MAP = new Map([
-  [1.0,  { a1: 0, a2: null, c1: 2, c2: null }],
-  [1.2,  { a1: 0, a2: null, c1: 2, c2: null }],
-  [1.4,  { a1: 0, a2: null, c1: 2, c2: null }],
-  [1.7,  { a1: 1, a2: 0,    c1: 3, c2: null }],
-  [2.0,  { a1: 1, a2: null, c1: 3, c2: null }],
-  [2.4,  { a1: 2, a2: 1,    c1: 4, c2: null }],
-  [2.8,  { a1: 2, a2: null, c1: 4, c2: null }],
-  [3.4,  { a1: 3, a2: 2,    c1: 5, c2: null }],
-  [4.0,  { a1: 3, a2: null, c1: 5, c2: null }],
-  [4.8,  { a1: 4, a2: 3,    c1: 2, c2: 1    }], // sham has C1 and C2
-  [5.7,  { a1: 4, a2: null, c1: 2, c2: null }],
-  [6.7,  { a1: 5, a2: 4,    c1: 3, c2: 2    }], // sham has C1 and C2
-  [8.0,  { a1: 5, a2: null, c1: 3, c2: null }],
-  [9.5,  { a1: 5, a2: null, c1: 3, c2: null }],
-  [11.0, { a1: 6, a2: null, c1: 4, c2: null }],
-  [13.0, { a1: 6, a2: null, c1: 4, c2: null }],
-  [16.0, { a1: 6, a2: null, c1: 4, c2: null }],
-]);
-
-function nearestMatchKeyKHz(freqHz) {
-  const kHz = freqHz / 1000;
-  let best = MATCH_KEYS_KHZ[0];
-  let bestD = Math.abs(kHz - best);
-  for (const k of MATCH_KEYS_KHZ) {
-    const d = Math.abs(kHz - k);
-    if (d < bestD) {
-      bestD = d;
-      best = k;
+// d, ω, μ, r, ν, the f0 range, carrier limits, block/ramp length and target
+// peak default to the paper values and may be overridden per request.
+// See modulationParameters.js for defaults and legal ranges.
+
+// ==================== Band Mapping ====================
+// Table 1 lookup, octave rule, user tables and centred bands live in
+// bandMapping.js (shared with the UI); this section combines the bands of
+// several matches and checks them against the carrier.
+
+// Cross-frequency phase q (Eq 2, 3) with several bands: one draw shared by
+// all bands, or an independent draw per band
+const Q_PHASE_MODES = ["shared", "independent"];
+
+function sameBand(a, b) {
+  return a.lo === b.lo && a.hi === b.hi;
+}
+
+function uniqueBands(bands) {
+  return bands.filter((band, i) => bands.findIndex((other) => sameBand(other, band)) === i);
+}
+
+function asList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Bands must sit inside the carrier and start below the upper audible limit,
+// and no sham band may modulate any of the active bands' harmonics (touching
+// edges are allowed, as in Table 1)
+function validateBands(activeBands, shamBands, { carrierMinHz, carrierMaxHz }, upperLimitHz = null) {
+  for (const [label, bands] of [["activeBand", activeBands], ["shamBand", shamBands]]) {
+    for (const band of bands) {
+      if (band.lo < carrierMinHz || band.hi > carrierMaxHz) {
+        throw new RangeError(`${label} ${band.name} lies outside the carrier range ${carrierMinHz}-${carrierMaxHz} Hz`);
+      }
+      if (upperLimitHz !== null && band.lo >= upperLimitHz) {
+        throw new RangeError(`${label} ${band.name} lies above the upper audible limit (${upperLimitHz} Hz)`);
+      }
     }
   }
-  return best;
+  for (const sham of shamBands) {
+    const hit = activeBands.find((active) => sham.lo < active.hi && active.lo < sham.hi);
+    if (hit) {
+      throw new RangeError(`shamBand ${sham.name} overlaps activeBand ${hit.name}`);
+    }
+  }
+}
+
+/**
+ * Resolve the active/sham bands for one or more tinnitus matches under the
+ * chosen band mode. Several matches (multi-tone tinnitus) give several bands,
+ * all modulated in the same file; duplicates are merged.
+ *
+ * @param {Array<number>} matches - Tinnitus matches in Hz (may be empty for "explicit")
+ * @param {Object} bandSpec - Result of resolveBandSpec() (bandMapping.js)
+ * @param {Object} carrier - { carrierMinHz, carrierMaxHz }
+ * @returns {Object} { activeBands, shamBands, bandLogic }
+ * @throws {RangeError} If a band falls outside the carrier or a sham band overlaps an active band
+ */
+function resolveBands(matches, bandSpec, carrier) {
+  let activeBands;
+  let shamBands;
+  let bandLogic;
+  if (bandSpec.bandMode === "explicit") {
+    const label = (name, value, i) => Array.isArray(value) ? `${name}[${i}]` : name;
+    activeBands = asList(bandSpec.activeBand).map((band, i) => explicitBand(band, label("activeBand", bandSpec.activeBand, i)));
+    shamBands = asList(bandSpec.shamBand).map((band, i) => explicitBand(band, label("shamBand", bandSpec.shamBand, i)));
+    if (activeBands.length === 0) {
+      throw new RangeError("activeBand must be an object { lo, hi } in Hz, or an array of them");
+    }
+    if (bandSpec.generateSham && shamBands.length === 0) {
+      throw new RangeError("shamBand must be an object { lo, hi } in Hz, or an array of them");
+    }
+    if (bandSpec.clipToCarrier) {
+      activeBands = clipExplicitBands(activeBands, "activeBand", bandSpec, carrier, true);
+      shamBands = clipExplicitBands(shamBands, "shamBand", bandSpec, carrier, bandSpec.generateSham);
+    }
+    bandLogic = { mode: "explicit" };
+  } else {
+    const perMatch = matches.map((hz) => mapMatch(hz, bandSpec, carrier));
+    activeBands = perMatch.map((bands) => bands.activeBand);
+    shamBands = perMatch.map((bands) => bands.shamBand).filter(Boolean);
+    bandLogic = perMatch.length === 1
+      ? perMatch[0].bandLogic
+      : { mode: bandSpec.bandMode, matches: perMatch.map((bands, i) => ({ tinnitusHz: Math.round(matches[i]), ...bands.bandLogic })) };
+  }
+  activeBands = uniqueBands(activeBands);
+  shamBands = uniqueBands(shamBands);
+
+  // The sham bands only constrain the request when a sham file is written.
+  // Bands of matches below 1 kHz may reach below carrierMinHz
+  const range = matches.reduce((range, hz) => matchCarrier(hz, range), carrier);
+  validateBands(activeBands, bandSpec.generateSham ? shamBands : [], range, bandSpec.upperLimitHz);
+  return { activeBands, shamBands, bandLogic };
+}
+
+// Explicit notches are clipped to the carrier like mapped ones; a required
+// band that misses the carrier entirely is rejected, an unused one dropped
+function clipExplicitBands(bands, label, bandSpec, carrier, required) {
+  return bands.flatMap((band) => {
+    const clipped = clipBand(band, carrier, bandSpec.upperLimitHz);
+    if (!clipped && required) {
+      const maxHz = Math.min(carrier.carrierMaxHz, bandSpec.upperLimitHz ?? Infinity);
+      throw new RangeError(`${label} ${band.name} does not overlap the carrier range ${carrier.carrierMinHz}-${maxHz} Hz`);
+    }
+    return clipped ? [clipped] : [];
+  });
+}
+
+// A tinnitus match is a frequency in Hz, or an array of them for multi-tone tinnitus
+function resolveMatches(value, label) {
+  const matches = asList(value);
+  for (const hz of matches) {
+    if (!Number.isFinite(hz) || hz <= 0) {
+      throw new RangeError(`Invalid ${label}: ${hz}`);
+    }
+  }
+  return matches;
+}
+
+// Per-ear tinnitus matches for stereo output. Each ear is a frequency in Hz
+// (or an array of them), or null for an unmodulated carrier in that ear.
+function resolveEars(ears, bandSpec, carrier) {
+  if (typeof ears !== "object") {
+    throw new RangeError("ears must be an object { left, right }");
+  }
+  const resolved = {};
+  for (const side of ["left", "right"]) {
+    const value = ears[side] ?? null;
+    if (value === null) {
+      resolved[side] = { tinnitusHz: null, activeBand: null, shamBand: null, activeBands: [], shamBands: [], bandLogic: null };
+      continue;
+    }
+    const matches = resolveMatches(value, `${side} ear tinnitusHz`);
+    if (matches.length === 0) {
+      throw new RangeError(`Invalid ${side} ear tinnitusHz: empty list`);
+    }
+    const bands = resolveBands(matches, bandSpec, carrier);
+    resolved[side] = {
+      tinnitusHz: Array.isArray(value) ? matches.map(Math.round) : Math.round(value),
+      activeBand: bands.activeBands[0],
+      shamBand: bands.shamBands[0] ?? null,
+      ...bands,
+    };
+  }
+  if (resolved.left.tinnitusHz === null && resolved.right.tinnitusHz === null) {
+    throw new RangeError("At least one ear needs a tinnitus frequency");
+  }
+  return resolved;
 }
 
 // ==================== PRNG (xorshift32) ====================
@@ -111,79 +235,436 @@ class XorShift32 {
   }
 }
 
-// ==================== WAV Writer (PCM16) ====================
-function writeWavHeader(fd, { sampleRate, numChannels, bitsPerSample, dataBytes }) {
-  const byteRate = sampleRate * numChannels * (bitsPerSample / 8);
+const MAX_SEED = 0xFFFFFFFF;
+
+// murmur3 finaliser: spreads every input bit over the whole 32-bit state
+function mix32(h) {
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B) >>> 0;
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35) >>> 0;
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Per-block seed: hash of (file seed, block index), so every block can be
+// rendered independently and the file is identical for any worker count
+function deriveBlockSeed(seed, blockIndex) {
+  return mix32((seed ^ Math.imul(blockIndex + 1, 0x9E3779B9)) >>> 0);
+}
+
+// Per-file seed: active and sham files draw independently from one master seed
+const FILE_SEED_SALTS = { active: 0x41435456, sham: 0x5348414D }; // "ACTV", "SHAM"
+
+function deriveFileSeed(seed, fileType) {
+  return mix32((seed ^ FILE_SEED_SALTS[fileType]) >>> 0);
+}
+
+// Schedule seed of a file: random block durations draw from their own stream
+const SCHEDULE_SEED_SALT = 0x53434844; // "SCHD"
+
+function deriveScheduleSeed(fileSeed) {
+  return mix32((fileSeed ^ SCHEDULE_SEED_SALT) >>> 0);
+}
+
+// Dither seed of a file: its own stream, so dither never shifts the block draws
+const DITHER_SEED_SALT = 0x44495448; // "DITH"
+
+function deriveDitherSeed(fileSeed) {
+  return mix32((fileSeed ^ DITHER_SEED_SALT) >>> 0);
+}
+
+// ==================== WAV Writer ====================
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+// KSDATAFORMAT_SUBTYPE_* GUID tail (after the 2-byte format code)
+const KSDATAFORMAT_GUID_TAIL = Buffer.from([0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71]);
+
+// Supported output encodings
+const SAMPLE_FORMATS = {
+  pcm16:   { bitsPerSample: 16, float: false },
+  pcm24:   { bitsPerSample: 24, float: false },
+  float32: { bitsPerSample: 32, float: true },
+};
+const SAMPLE_RATES = [44100, 48000, 96000];
+// 10-hour overnight files; WAV beyond 4 GB switches to RF64
+const MAX_MINUTES = 600;
+// Output formats per entry point: files, in-memory buffers (null = samples
+// only) and streams (no FLAC: its STREAMINFO is patched after the last frame)
+const FILE_FORMATS = ["wav", "flac"];
+const RENDER_FORMATS = ["wav", "flac", "pcm", null];
+const STREAM_FORMATS = ["wav", "pcm"];
+
+// Block rendering worker threads (see blockWorkerPool.js)
+const BLOCK_WORKER_URL = new URL("./blockWorker.js", import.meta.url);
+const MAX_CONCURRENCY = 64;
+const DEFAULT_CONCURRENCY = Math.min(MAX_CONCURRENCY, os.availableParallelism?.() ?? os.cpus().length);
+
+// Speaker position masks: mono = front centre, stereo = front left | front right
+function defaultChannelMask(numChannels) {
+  if (numChannels === 1) return 0x4;
+  if (numChannels === 2) return 0x3;
+  return numChannels >= 32 ? 0 : (2 ** numChannels) - 1;
+}
+
+// Size fields of a live stream whose length is not declared up front (the
+// convention ffmpeg and sox use when writing WAV to a pipe)
+const WAV_UNKNOWN_SIZE = 0xFFFFFFFF;
+
+// ds64 payload: RIFF size, data size and sample count (64-bit each) and an
+// empty table of further oversized chunks
+const DS64_SIZE = 28;
+
+// Word-aligned RIFF chunk; the pad byte is not counted in the size
+function riffChunk(id, payload) {
+  const chunk = Buffer.alloc(8 + payload.length + (payload.length % 2));
+  chunk.write(id, 0);
+  chunk.writeUInt32LE(payload.length, 4);
+  payload.copy(chunk, 8);
+  return chunk;
+}
+
+// Generation metadata ahead of the audio: a LIST/INFO chunk for players
+// (title, comment, software) and a WAV_METADATA_CHUNK_ID chunk with the full
+// generation record as JSON (see wavParser.js)
+function wavMetadataChunks(metadata) {
+  if (!metadata) return Buffer.alloc(0);
+  const info = Object.entries(metadata.info)
+    .map(([id, text]) => riffChunk(id, Buffer.from(`${text}\0`, "utf8")));
+  return Buffer.concat([
+    riffChunk("LIST", Buffer.concat([Buffer.from("INFO"), ...info])),
+    riffChunk(WAV_METADATA_CHUNK_ID, Buffer.from(JSON.stringify(metadata.record), "utf8")),
+  ]);
+}
+
+// Header layout depends on the encoding: WAVE_FORMAT_EXTENSIBLE is required
+// for more than two channels or integer samples wider than 16 bits, and every
+// non-PCM format (IEEE float) needs a cbSize field and a `fact` chunk. RF64
+// adds a `ds64` chunk after the RIFF header; metadata chunks sit just before
+// `data`.
+function wavHeaderLayout({ numChannels, bitsPerSample, float = false, rf64 = false, metadataBytes = 0 }) {
+  const extensible = numChannels > 2 || (!float && bitsPerSample > 16);
+  const fmtSize = extensible ? 40 : (float ? 18 : 16);
+  const hasFact = float;
+  const ds64Bytes = rf64 ? 8 + DS64_SIZE : 0;
+  return {
+    extensible, fmtSize, hasFact, ds64Bytes,
+    headerBytes: 12 + ds64Bytes + 8 + fmtSize + (hasFact ? 12 : 0) + metadataBytes + 8,
+  };
+}
+
+// RF64 (EBU Tech 3306; BW64 in ITU-R BS.2088 differs only in the ID) once the
+// RIFF size no longer fits 32 bits. 0xFFFFFFFF itself is reserved: in RF64
+// it marks the size fields whose real value is in ds64.
+function wavNeedsRf64({ numChannels, bitsPerSample, float = false, metadataBytes = 0 }, dataBytes) {
+  const { headerBytes } = wavHeaderLayout({ numChannels, bitsPerSample, float, metadataBytes });
+  return dataBytes !== null && headerBytes - 8 + dataBytes >= WAV_UNKNOWN_SIZE;
+}
+
+// dataBytes = null writes WAV_UNKNOWN_SIZE into every size field. RF64 is
+// chosen automatically when dataBytes exceeds the RIFF limit; pass rf64 to
+// fix the layout of a placeholder header up front (see finalizeWav).
+// metadata = { info: { INAM, ICMT, ... }, record } adds wavMetadataChunks.
+function buildWavHeader({
+  sampleRate, numChannels, bitsPerSample, float = false, dataBytes, metadata = null,
+  rf64 = wavNeedsRf64({ numChannels, bitsPerSample, float, metadataBytes: wavMetadataChunks(metadata).length }, dataBytes),
+}) {
+  const metadataChunks = wavMetadataChunks(metadata);
+  const { extensible, fmtSize, hasFact, ds64Bytes, headerBytes } = wavHeaderLayout({
+    numChannels, bitsPerSample, float, rf64, metadataBytes: metadataChunks.length,
+  });
+  const formatTag = float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM;
   const blockAlign = numChannels * (bitsPerSample / 8);
-  const riffChunkSize = 36 + dataBytes;
+  const byteRate = sampleRate * blockAlign;
+  const riffChunkSize = dataBytes === null ? WAV_UNKNOWN_SIZE : headerBytes - 8 + dataBytes;
+  const frames = dataBytes === null ? WAV_UNKNOWN_SIZE : Math.floor(dataBytes / blockAlign);
+  // 32-bit fields defer to ds64 in RF64
+  const size32 = (x) => rf64 ? WAV_UNKNOWN_SIZE : x;
 
-  const header = Buffer.alloc(44);
-  header.write("RIFF", 0);
-  header.writeUInt32LE(riffChunkSize, 4);
+  const header = Buffer.alloc(headerBytes);
+  header.write(rf64 ? "RF64" : "RIFF", 0);
+  header.writeUInt32LE(size32(riffChunkSize), 4);
   header.write("WAVE", 8);
-  header.write("fmt ", 12);
-  header.writeUInt32LE(16, 16);               // PCM fmt chunk size
-  header.writeUInt16LE(1, 20);                // audio format = PCM
-  header.writeUInt16LE(numChannels, 22);
-  header.writeUInt32LE(sampleRate, 24);
-  header.writeUInt32LE(byteRate, 28);
-  header.writeUInt16LE(blockAlign, 32);
-  header.writeUInt16LE(bitsPerSample, 34);
-  header.write("data", 36);
-  header.writeUInt32LE(dataBytes, 40);
+  if (rf64) {
+    header.write("ds64", 12);
+    header.writeUInt32LE(DS64_SIZE, 16);
+    header.writeBigUInt64LE(BigInt(riffChunkSize), 20);
+    header.writeBigUInt64LE(BigInt(dataBytes), 28);
+    header.writeBigUInt64LE(BigInt(frames), 36);
+    header.writeUInt32LE(0, 44);                                // table length
+  }
+  const fmt = header.subarray(12 + ds64Bytes);
+  fmt.write("fmt ", 0);
+  fmt.writeUInt32LE(fmtSize, 4);
+  fmt.writeUInt16LE(extensible ? WAVE_FORMAT_EXTENSIBLE : formatTag, 8);
+  fmt.writeUInt16LE(numChannels, 10);
+  fmt.writeUInt32LE(sampleRate, 12);
+  fmt.writeUInt32LE(byteRate, 16);
+  fmt.writeUInt16LE(blockAlign, 20);
+  fmt.writeUInt16LE(bitsPerSample, 22);
+  let offset = 24;
+  if (extensible) {
+    fmt.writeUInt16LE(22, 24);                                  // cbSize
+    fmt.writeUInt16LE(bitsPerSample, 26);                       // valid bits
+    fmt.writeUInt32LE(defaultChannelMask(numChannels), 28);     // channel mask
+    fmt.writeUInt16LE(formatTag, 32);                           // sub-format GUID
+    KSDATAFORMAT_GUID_TAIL.copy(fmt, 34);
+    offset = 48;
+  } else if (fmtSize === 18) {
+    fmt.writeUInt16LE(0, 24);                                   // cbSize
+    offset = 26;
+  }
+  if (hasFact) {
+    fmt.write("fact", offset);
+    fmt.writeUInt32LE(4, offset + 4);
+    fmt.writeUInt32LE(size32(frames), offset + 8);              // sample frames
+    offset += 12;
+  }
+  metadataChunks.copy(fmt, offset);
+  offset += metadataChunks.length;
+  fmt.write("data", offset);
+  fmt.writeUInt32LE(size32(dataBytes ?? WAV_UNKNOWN_SIZE), offset + 4);
+
+  return header;
+}
 
+// Rewrite the header in place at the start of the file
+function writeWavHeader(fd, format) {
+  const header = buildWavHeader(format);
   fs.writeSync(fd, header, 0, header.length, 0);
 }
 
-function finalizeWav(fd, { sampleRate, numChannels, bitsPerSample }) {
+// rf64 and the metadata size must match the placeholder header, whose size
+// decides where the data starts
+function finalizeWav(fd, { sampleRate, numChannels, bitsPerSample, float = false, rf64 = false, metadata = null }) {
   const stat = fs.fstatSync(fd);
-  const fileBytes = stat.size;
-  const dataBytes = fileBytes - 44;
-  writeWavHeader(fd, { sampleRate, numChannels, bitsPerSample, dataBytes });
+  const metadataBytes = wavMetadataChunks(metadata).length;
+  const { headerBytes } = wavHeaderLayout({ numChannels, bitsPerSample, float, rf64, metadataBytes });
+  const blockAlign = numChannels * (bitsPerSample / 8);
+  // Only whole sample frames count as audio data
+  const dataBytes = stat.size - headerBytes;
+  const frameBytes = dataBytes - (dataBytes % blockAlign);
+  if (!rf64 && wavNeedsRf64({ numChannels, bitsPerSample, float, metadataBytes }, frameBytes)) {
+    throw new RangeError(`WAV data of ${frameBytes} bytes exceeds the RIFF limit; the file needs an RF64 header`);
+  }
+  writeWavHeader(fd, { sampleRate, numChannels, bitsPerSample, float, dataBytes: frameBytes, rf64, metadata });
 }
 
-function writePcm16(fd, floatSamples) {
-  const buf = Buffer.alloc(floatSamples.length * 2);
+// Sample encoders: interleaved block -> little-endian bytes. The integer
+// formats take the output of the file's quantiser (see createQuantizer)
+function encodePcm16(intSamples) {
+  const buf = Buffer.alloc(intSamples.length * 2);
+  for (let i = 0; i < intSamples.length; i++) {
+    buf.writeInt16LE(intSamples[i], i * 2);
+  }
+  return buf;
+}
+
+function encodePcm24(intSamples) {
+  const buf = Buffer.alloc(intSamples.length * 3);
+  for (let i = 0; i < intSamples.length; i++) {
+    buf.writeIntLE(intSamples[i], i * 3, 3);
+  }
+  return buf;
+}
+
+function encodeFloat32(floatSamples) {
+  const buf = Buffer.alloc(floatSamples.length * 4);
   for (let i = 0; i < floatSamples.length; i++) {
-    const x = Math.max(-1, Math.min(1, floatSamples[i]));
-    const s = clamp16(Math.round(x * 32767));
-    buf.writeInt16LE(s, i * 2);
+    buf.writeFloatLE(Math.max(-1, Math.min(1, floatSamples[i])), i * 4);
   }
-  fs.writeSync(fd, buf);
+  return buf;
 }
 
-function clamp16(x) {
-  if (x > 32767) return 32767;
-  if (x < -32768) return -32768;
-  return x;
+const SAMPLE_ENCODERS = {
+  pcm16: encodePcm16,
+  pcm24: encodePcm24,
+  float32: encodeFloat32,
+};
+
+// Float block -> what the encoders take: dithered integers for pcm16/pcm24
+// (one quantiser per file, its dither and shaping state running across
+// blocks), the floats themselves for float32
+function createQuantizer(plan, fileType, numChannels) {
+  const { bitsPerSample, float } = SAMPLE_FORMATS[plan.sampleFormat];
+  if (float) return (samples) => samples;
+  const quantizer = new Quantizer({
+    bitsPerSample,
+    numChannels,
+    dither: plan.output.dither,
+    rng: new XorShift32(deriveDitherSeed(plan.seeds[fileType])),
+  });
+  return (samples) => quantizer.quantize(samples);
+}
+
+// Growable in-memory byte sink with positional writes (FLAC patches its
+// STREAMINFO after the last frame)
+class MemorySink {
+  constructor(capacity = 1 << 20) {
+    this.buffer = Buffer.alloc(capacity);
+    this.length = 0;
+  }
+
+  write(bytes, position = this.length) {
+    const end = position + bytes.length;
+    if (end > this.buffer.length) {
+      const grown = Buffer.alloc(Math.max(end, this.buffer.length * 2));
+      this.buffer.copy(grown, 0, 0, this.length);
+      this.buffer = grown;
+    }
+    this.buffer.set(bytes, position);
+    this.length = Math.max(this.length, end);
+  }
+
+  toBuffer() {
+    return this.buffer.subarray(0, this.length);
+  }
 }
 
 // ==================== DSP Helpers ====================
 const TAU = Math.PI * 2;
+const HALF_PI = Math.PI / 2;
+const QUARTER_PI = Math.PI / 4;
+const INV_TAU = 1 / TAU;
+
+// Carrier phasors are re-anchored to the exact phase every this many samples,
+// which bounds the rounding drift of the rotator recurrence (see Carrier Synthesis)
+const PHASOR_RENORM_INTERVAL = 1024;
+
+// Fast sine/cosine for the modulation path: Taylor polynomials on a reduced
+// interval (truncation error < 1e-10, far below float32 resolution).
+// fastSin reduces to [-π, π] and folds to [-π/2, π/2] via sin(π - x) = sin(x).
+function sinHalfPi(x) {
+  const x2 = x * x;
+  return x * (1 + x2 * (-1 / 6 + x2 * (1 / 120 + x2 * (-1 / 5040 + x2 * (1 / 362880
+    + x2 * (-1 / 39916800 + x2 * (1 / 6227020800 + x2 * (-1 / 1307674368000))))))));
+}
+
+function sinQuarterPi(x) {
+  const x2 = x * x;
+  return x * (1 + x2 * (-1 / 6 + x2 * (1 / 120 + x2 * (-1 / 5040 + x2 * (1 / 362880 + x2 * (-1 / 39916800))))));
+}
 
-function raisedCosineRamp(i, nRamp, nTotal) {
+function cosQuarterPi(x) {
+  const x2 = x * x;
+  return 1 + x2 * (-1 / 2 + x2 * (1 / 24 + x2 * (-1 / 720 + x2 * (1 / 40320 + x2 * (-1 / 3628800)))));
+}
+
+function fastSin(x) {
+  x -= TAU * Math.round(x * INV_TAU);
+  if (x > HALF_PI) x = Math.PI - x;
+  else if (x < -HALF_PI) x = -Math.PI - x;
+  return sinHalfPi(x);
+}
+
+// Ramp curves from silence (x = 0) to full level (x = 1); see RAMP_SHAPES
+const RAMP_CURVES = {
+  raisedCosine: (x) => 0.5 * (1 - Math.cos(Math.PI * x)),
+  hann: (x) => 0.5 * (1 - Math.cos(Math.PI * x)),
+  linear: (x) => x,
+  equalPower: (x) => Math.sin(HALF_PI * x),
+};
+
+function rampGain(i, nRamp, nTotal, shape = "raisedCosine") {
   // 1 s ramp in + 1 s ramp out inside a 4 s block, per paper.
-  // i is sample index in block
-  if (nRamp <= 0) return 1.0;
-  if (i < nRamp) {
-    const x = i / nRamp; // 0..1
-    return 0.5 * (1 - Math.cos(Math.PI * x));
+  // i is sample index in block. Ramps are capped at half the block (Hann
+  // always spans it), so even a short block starts and ends at zero.
+  const n = shape === "hann" ? Math.floor(nTotal / 2) : Math.min(nRamp, Math.floor(nTotal / 2));
+  if (n <= 0) return 1.0;
+  if (i < n) {
+    return RAMP_CURVES[shape](i / n); // 0..1
   }
-  if (i >= nTotal - nRamp) {
-    const x = (nTotal - 1 - i) / nRamp; // 1..0
-    return 0.5 * (1 - Math.cos(Math.PI * x));
+  if (i >= nTotal - n) {
+    return RAMP_CURVES[shape]((nTotal - 1 - i) / n); // 1..0
   }
   return 1.0;
 }
 
+// Joint peak normalisation so all channels of a block share one gain
+// (keeps interaural level differences intact for stereo output)
+function normalizeBlockPeak(channels, targetPeak) {
+  let peak = 1e-9;
+  for (const ch of channels) {
+    for (let i = 0; i < ch.length; i++) {
+      const a = Math.abs(ch[i]);
+      if (a > peak) peak = a;
+    }
+  }
+  const scale = Math.min(1.0, targetPeak / peak);
+  for (const ch of channels) {
+    for (let i = 0; i < ch.length; i++) ch[i] *= scale;
+  }
+}
+
+// Level normalisation of a block before its ramps are applied, so blocks of
+// any length (including the remainder block) get the same steady-state level
+function normalizeBlockLevel(channels, { sampleRate, mode, plateauLevel }) {
+  const level = measureBlockLevel(channels, { mode, sampleRate });
+  if (!Number.isFinite(level)) return;
+  const scale = Math.pow(10, (plateauLevel - level) / 20);
+  for (const ch of channels) {
+    for (let i = 0; i < ch.length; i++) ch[i] *= scale;
+  }
+}
+
+function applyRamps(channels, rampN, shape) {
+  for (const ch of channels) {
+    for (let i = 0; i < ch.length; i++) ch[i] *= rampGain(i, rampN, ch.length, shape);
+  }
+}
+
+// Constant-power crossfade windows for "overlapAdd" blocks: sin over the
+// first fadeIn samples, cos over the last fadeOut. The fade-out of one block
+// and the fade-in of the next have sin² + cos² = 1 at every sample, so two
+// uncorrelated blocks sum without a dip in level.
+function applyCrossfadeWindows(channels, { fadeIn, fadeOut }) {
+  const N = channels[0].length;
+  for (const ch of channels) {
+    for (let i = 0; i < fadeIn; i++) ch[i] *= Math.sin(HALF_PI * (i + 0.5) / fadeIn);
+    for (let i = 0; i < fadeOut; i++) ch[N - fadeOut + i] *= Math.cos(HALF_PI * (i + 0.5) / fadeOut);
+  }
+}
+
+// True-peak limiting of an interleaved segment (see limitTruePeak)
+function limitInterleaved(samples, numChannels, options) {
+  const frames = samples.length / numChannels;
+  const channels = Array.from({ length: numChannels }, (_, c) => {
+    const ch = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) ch[i] = samples[i * numChannels + c];
+    return ch;
+  });
+  if (limitTruePeak(channels, options) === 0) return;
+  channels.forEach((ch, c) => {
+    for (let i = 0; i < frames; i++) samples[i * numChannels + c] = ch[i];
+  });
+}
+
+// Ramp gain over one full block (see envelopeLevelDb in loudness.js)
+function rampEnvelope(N, rampN, shape) {
+  const envelope = new Float64Array(N);
+  for (let i = 0; i < N; i++) envelope[i] = rampGain(i, rampN, N, shape);
+  return envelope;
+}
+
+// Interleave per-channel blocks into frame order (L R L R ...)
+function interleave(channels) {
+  if (channels.length === 1) return channels[0];
+  const numChannels = channels.length;
+  const N = channels[0].length;
+  const out = new Float32Array(N * numChannels);
+  for (let ch = 0; ch < numChannels; ch++) {
+    const src = channels[ch];
+    for (let i = 0; i < N; i++) out[i * numChannels + ch] = src[i];
+  }
+  return out;
+}
+
 function log2(x) {
   return Math.log(x) / Math.log(2);
 }
 
 // Eq (5): S(t) = μ + r sin(p + 2π ν t)
 // SMR (Spectral Modulation Rate) array - modulates the frequency-dependent modulation
-function buildSMRArray(N, fsHz, pPhase) {
-  const S = new Float32Array(N);
+function buildSMRArray(N, fsHz, pPhase, { mu, r, nu }) {
+  const S = new Float64Array(N);
   const invFsHz = 1.0 / fsHz;
   const tauNu = TAU * nu;
   let t = 0;
@@ -195,8 +676,8 @@ function buildSMRArray(N, fsHz, pPhase) {
 }
 
 // Precompute omega term: 2π ω t (for Eq 2, 3)
-function buildOmegaArray(N, fsHz) {
-  const W = new Float32Array(N);
+function buildOmegaArray(N, fsHz, omega) {
+  const W = new Float64Array(N);
   const invFsHz = 1.0 / fsHz;
   const tauOmega = TAU * omega;
   let t = 0;
@@ -207,6 +688,191 @@ function buildOmegaArray(N, fsHz) {
   return W;
 }
 
+// ==================== Carrier Synthesis ====================
+// Each harmonic sin θ, θ = 2π f t + φ, comes from a complex rotator
+// (cos θ, sin θ) ← (cos θ, sin θ)·e^{iΔ} with Δ = 2π f / fs, so carrier
+// synthesis needs no trig calls per sample. The rotator is re-anchored on the
+// exact phase every PHASOR_RENORM_INTERVAL samples. Only the modulation term
+// of in-band harmonics still evaluates a sine per sample, via fastSin.
+
+// Unmodulated harmonic: out += gain · sin(Δ i + φ)
+function addHarmonic(out, dTheta, phi, gain) {
+  const N = out.length;
+  const cosD = Math.cos(dTheta);
+  const sinD = Math.sin(dTheta);
+  for (let i0 = 0; i0 < N; i0 += PHASOR_RENORM_INTERVAL) {
+    // Re-anchor on the exact phase so rounding drift cannot accumulate
+    let re = gain * Math.cos(dTheta * i0 + phi);
+    let im = gain * Math.sin(dTheta * i0 + phi);
+    const end = Math.min(N, i0 + PHASOR_RENORM_INTERVAL);
+    for (let i = i0; i < end; i++) {
+      out[i] += im;
+      const nextRe = re * cosD - im * sinD;
+      im = re * sinD + im * cosD;
+      re = nextRe;
+    }
+  }
+}
+
+// Amplitude-modulated harmonic, Eq (2):
+// out += gain · A(t) · sin θ, A(t) = 1 + d sin(2π[ωt + F_n S(t)] + q), range 0..2
+function addAmplitudeHarmonic(out, dTheta, phi, gain, W, S, tauFn, qPhase, d) {
+  const N = out.length;
+  const cosD = Math.cos(dTheta);
+  const sinD = Math.sin(dTheta);
+  for (let i0 = 0; i0 < N; i0 += PHASOR_RENORM_INTERVAL) {
+    let re = gain * Math.cos(dTheta * i0 + phi);
+    let im = gain * Math.sin(dTheta * i0 + phi);
+    const end = Math.min(N, i0 + PHASOR_RENORM_INTERVAL);
+    for (let i = i0; i < end; i++) {
+      out[i] += (1.0 + d * fastSin(W[i] + tauFn * S[i] + qPhase)) * im;
+      const nextRe = re * cosD - im * sinD;
+      im = re * sinD + im * cosD;
+      re = nextRe;
+    }
+  }
+}
+
+// Phase-modulated harmonic, Eq (3): out += gain · sin(θ + ψ) with
+// ψ(t) = π(1 + d sin(2π[ωt + F_n S(t)] + q)), range 0..2π.
+// sin(θ + ψ) = sin θ cos ψ + cos θ sin ψ. Writing ψ = π + 4h with
+// |h| ≤ π/4, cos ψ and sin ψ follow from sin h, cos h by two double-angle
+// steps, which needs no range reduction and only short polynomials.
+function addPhaseHarmonic(out, dTheta, phi, gain, W, S, tauFn, qPhase, d) {
+  const N = out.length;
+  const cosD = Math.cos(dTheta);
+  const sinD = Math.sin(dTheta);
+  for (let i0 = 0; i0 < N; i0 += PHASOR_RENORM_INTERVAL) {
+    let re = gain * Math.cos(dTheta * i0 + phi);
+    let im = gain * Math.sin(dTheta * i0 + phi);
+    const end = Math.min(N, i0 + PHASOR_RENORM_INTERVAL);
+    for (let i = i0; i < end; i++) {
+      const h = QUARTER_PI * d * fastSin(W[i] + tauFn * S[i] + qPhase);
+      const sh = sinQuarterPi(h);
+      const ch = cosQuarterPi(h);
+      const sb = 2 * sh * ch;      // sin 2h
+      const cb = 1 - 2 * sh * sh;  // cos 2h
+      out[i] += (2 * sb * sb - 1) * im - 2 * sb * cb * re;  // cos ψ = -cos 4h, sin ψ = -sin 4h
+      const nextRe = re * cosD - im * sinD;
+      im = re * sinD + im * cosD;
+      re = nextRe;
+    }
+  }
+}
+
+// Gliding component (glide carrier), optionally modulated (mode "amplitude"
+// or "phase", null for none). The frequency moves linearly across the block,
+// so the per-sample increment Δ_i = Δ0 + iδ is itself a rotator and
+// θ_i = φ + iΔ0 + δ·i(i-1)/2 at each re-anchor point.
+function addGlideComponent(out, dTheta0, dDelta, phi, gain, W, S, tauFn, qPhase, d, mode) {
+  const N = out.length;
+  const cosE = Math.cos(dDelta);
+  const sinE = Math.sin(dDelta);
+  for (let i0 = 0; i0 < N; i0 += PHASOR_RENORM_INTERVAL) {
+    const theta = phi + i0 * dTheta0 + dDelta * i0 * (i0 - 1) / 2;
+    let re = gain * Math.cos(theta);
+    let im = gain * Math.sin(theta);
+    let cosD = Math.cos(dTheta0 + i0 * dDelta);
+    let sinD = Math.sin(dTheta0 + i0 * dDelta);
+    const end = Math.min(N, i0 + PHASOR_RENORM_INTERVAL);
+    for (let i = i0; i < end; i++) {
+      if (mode === null) {
+        out[i] += im;
+      } else {
+        const m = fastSin(W[i] + tauFn * S[i] + qPhase);
+        if (mode === "amplitude") {
+          out[i] += (1.0 + d * m) * im;
+        } else {
+          const h = QUARTER_PI * d * m;
+          const sh = sinQuarterPi(h);
+          const ch = cosQuarterPi(h);
+          const sb = 2 * sh * ch;
+          const cb = 1 - 2 * sh * sh;
+          out[i] += (2 * sb * sb - 1) * im - 2 * sb * cb * re;
+        }
+      }
+      const nextRe = re * cosD - im * sinD;
+      im = re * sinD + im * cosD;
+      re = nextRe;
+      const nextCosD = cosD * cosE - sinD * sinE;
+      sinD = cosD * sinE + sinD * cosE;
+      cosD = nextCosD;
+    }
+  }
+}
+
+// ==================== Carrier Types ====================
+// "harmonic" - n·f0 with random f0 per block (paper, Eq 1)
+// "jittered" - (n + U(-jitter, jitter))·f0, an inharmonic complex
+// "glide"    - n·f0(t), f0 moving linearly by glideOct octaves across the block
+// "ripple"   - random-phase tones log-spaced at rippleDensity per octave, grid
+//              offset randomly per block (ripple-noise style tone cloud)
+// Each component has a random phase φ; freq is its (mid-block) frequency.
+
+/**
+ * Draw the carrier components for one block. Draws depend only on the rng and
+ * the parameters, never on the bands, so every channel gets the same carrier.
+ *
+ * @param {string} carrierType - One of CARRIER_TYPES
+ * @param {XorShift32} rng - Block random number generator
+ * @param {Object} modulation - Resolved parameters (f0 range, carrier limits, jitter, glideOct, rippleDensity)
+ * @returns {Object} {f0, f0End, components: [{n, freq, startFreq, endFreq, phi}]}
+ */
+function drawCarrier(carrierType, rng, { f0MinHz, f0MaxHz, carrierMinHz, carrierMaxHz, jitter, glideOct, rippleDensity }) {
+  const components = [];
+
+  if (carrierType === "ripple") {
+    const offset = rng.uniform(0, 1);
+    for (let n = 0; ; n++) {
+      const freq = carrierMinHz * Math.pow(2, (n + offset) / rippleDensity);
+      if (freq > carrierMaxHz) break;
+      components.push({ n: null, freq, startFreq: freq, endFreq: freq, phi: rng.uniform(0, TAU) });
+    }
+    return { f0: null, f0End: null, components };
+  }
+
+  // Random fundamental frequency per block (default 96–256 Hz)
+  const f0 = rng.uniform(f0MinHz, f0MaxHz);
+
+  if (carrierType === "glide") {
+    // Keep every component inside the carrier limits for the whole glide
+    const f0End = f0 * Math.pow(2, glideOct);
+    const nMin = Math.ceil(carrierMinHz / Math.min(f0, f0End));
+    const nMax = Math.floor(carrierMaxHz / Math.max(f0, f0End));
+    for (let n = nMin; n <= nMax; n++) {
+      components.push({ n, freq: n * (f0 + f0End) / 2, startFreq: n * f0, endFreq: n * f0End, phi: rng.uniform(0, TAU) });
+    }
+    return { f0, f0End, components };
+  }
+
+  // Calculate harmonic range that fits within carrier limits
+  const nMin = Math.ceil(carrierMinHz / f0);
+  const nMax = Math.floor(carrierMaxHz / f0);
+  for (let n = nMin; n <= nMax; n++) {
+    const phi = rng.uniform(0, TAU);
+    if (carrierType !== "jittered") {
+      components.push({ n, freq: n * f0, startFreq: n * f0, endFreq: n * f0, phi });
+      continue;
+    }
+    const freq = (n + rng.uniform(-jitter, jitter)) * f0;
+    if (freq < carrierMinHz || freq > carrierMaxHz) continue;
+    components.push({ n, freq, startFreq: freq, endFreq: freq, phi });
+  }
+  return { f0, f0End: f0, components };
+}
+
+// 2π[ωt + log2(f0(t) / f0_mid) S(t)]: with a gliding f0, F_n of every
+// component drifts by the same log2(f0(t) / f0_mid), so it folds into W
+function buildGlideOmegaArray(W, S, f0, f0End) {
+  const N = W.length;
+  const Wg = new Float64Array(N);
+  const f0Mid = (f0 + f0End) / 2;
+  for (let i = 0; i < N; i++) {
+    Wg[i] = W[i] + TAU * log2((f0 + (f0End - f0) * i / N) / f0Mid) * S[i];
+  }
+  return Wg;
+}
+
 // ==================== Sound Generation (Core Algorithm) ====================
 /**
  * Generate one block of sound (default 4 seconds with 1s ramps)
@@ -215,286 +881,1253 @@ function buildOmegaArray(N, fsHz) {
  * @param {Object} params
  * @param {number} params.fsHz - Sample rate in Hz
  * @param {number} params.seconds - Block duration in seconds
- * @param {Object} params.band - Frequency band {lo, hi} in Hz
+ * @param {number|null} params.frames - Block length in samples (default: seconds at fsHz)
+ * @param {Array<Object>} params.bands - Frequency bands {lo, hi} in Hz to modulate; empty for an unmodulated carrier
+ * @param {number} params.qPhaseCount - Number of q draws: 1 (shared by all bands) or one per band
  * @param {string} params.mode - "phase" or "amplitude"
  * @param {XorShift32} params.rng - Random number generator instance
  * @param {number} params.rampSec - Ramp duration in seconds
+ * @param {string} params.rampShape - Ramp curve (see RAMP_SHAPES)
  * @param {number} params.targetPeak - Target peak amplitude (0-1)
- * @returns {Object} {samples: Float32Array, f0: number}
+ * @param {Object} params.modulation - d, omega, mu, r, nu, f0MinHz, f0MaxHz, carrierMinHz, carrierMaxHz,
+ *   and jitter, glideOct, rippleDensity for the alternative carriers
+ * @param {string} params.carrierType - "harmonic" (paper), "jittered", "glide" or "ripple"
+ * @param {Function|null} params.harmonicGain - Hearing-slope correction and spectral weighting, (hz) => linear gain
+ * @param {boolean} params.normalize - Scale block peak to targetPeak (false when the caller normalises channels jointly)
+ * @returns {Object} {samples: Float32Array, f0: number|null, f0End: number|null, p: number, q: Array<number>,
+ *   harmonics: Array<{count, nMin, nMax, loHz, hiHz}>} - harmonics lists the modulated components per band
  */
-function generateBlock({ fsHz, seconds, band, mode, rng, rampSec, targetPeak }) {
-  const N = Math.floor(fsHz * seconds);
+function generateBlock({
+  fsHz, seconds, frames = null, bands, qPhaseCount = 1, mode, carrierType = "harmonic", rng, rampSec, rampShape = "raisedCosine",
+  targetPeak, modulation, harmonicGain = null, normalize = true,
+}) {
+  const { d } = modulation;
+  const N = frames ?? Math.floor(fsHz * seconds);
   const rampN = Math.floor(fsHz * rampSec);
 
   // Random phases per block (paper: p and q random 0..2π)
   // p: phase for SMR modulation (Eq 5)
   // q: phase for cross-frequency modulation (Eq 2, 3)
   const pPhase = rng.uniform(0, TAU);
-  const qPhase = rng.uniform(0, TAU);
+  const qPhases = [rng.uniform(0, TAU)];
+  for (let k = 1; k < qPhaseCount; k++) qPhases.push(rng.uniform(0, TAU));
 
   // Eq (5): S(t) = μ + r sin(p + 2π ν t)
-  const S = buildSMRArray(N, fsHz, pPhase);
+  const S = buildSMRArray(N, fsHz, pPhase, modulation);
   
   // Precompute: 2π ω t (for Eq 2, 3)
-  const W = buildOmegaArray(N, fsHz);
+  const W = buildOmegaArray(N, fsHz, modulation.omega);
 
-  // Random fundamental frequency per block (96–256 Hz)
-  // This creates a harmonic series carrier
-  const f0 = rng.uniform(96, 256);
+  // Carrier components: harmonic series with random f0 per block (Eq 1) or
+  // one of the alternative carrier types
+  const { f0, f0End, components } = drawCarrier(carrierType, rng, modulation);
+  const glide = carrierType === "glide";
+  const Wg = glide && bands.length > 0 ? buildGlideOmegaArray(W, S, f0, f0End) : W;
 
-  // Calculate harmonic range that fits within carrier limits
-  const nMin = Math.ceil(carrierMinHz / f0);
-  const nMax = Math.floor(carrierMaxHz / f0);
+  // Log-centre of each target band (for Eq 4); no bands = unmodulated carrier
+  const centres = bands.map((band) => Math.sqrt(band.lo * band.hi));
+  const harmonics = bands.map(() => ({ count: 0, nMin: null, nMax: null, loHz: null, hiHz: null }));
+  const sum = new Float64Array(N); // Harmonic sum, accumulated in double
 
-  // Log-centre of the target band (for Eq 4)
-  const c = Math.sqrt(band.lo * band.hi);
-  const out = new Float32Array(N);
+  // Synthesis: sum components (Eq 1)
+  for (const { n, freq, startFreq, endFreq, phi } of components) {
+    // Gliding components belong to the band holding their mid-block frequency
+    const k = bandIndexFor(freq, bands, centres);
+    const inBand = k >= 0;
 
-  // Pre-compute time array once per block (optimization)
-  // Use incremental addition for better performance
-  const timeArray = new Float32Array(N);
-  const invFsHz = 1.0 / fsHz;
-  let t = 0;
+    // Hearing-slope correction and spectral weighting: per-harmonic carrier amplitude
+    const gain = harmonicGain ? harmonicGain(freq) : 1.0;
+
+    const dTheta = TAU * startFreq / fsHz;  // Phase increment per sample
+    const dDelta = glide ? TAU * (endFreq - startFreq) / fsHz / N : 0;
+
+    if (!inBand) {
+      if (glide) addGlideComponent(sum, dTheta, dDelta, phi, gain, null, null, 0, 0, 0, null);
+      else addHarmonic(sum, dTheta, phi, gain);
+      continue;
+    }
+
+    // Eq (4): F_n = log2( (n f0) / c ), c = centre of this harmonic's band
+    // Frequency-dependent modulation index (at mid-block for a glide; Wg adds the drift)
+    const Fn = log2(freq / centres[k]);
+    const qPhase = qPhases[qPhaseCount > 1 ? k : 0];
+    const stats = harmonics[k];
+    stats.count++;
+    stats.nMin ??= n;
+    stats.nMax = n;
+    stats.loHz = Math.min(stats.loHz ?? freq, freq);
+    stats.hiHz = Math.max(stats.hiHz ?? freq, freq);
+
+    // Apply modulation only to frequencies within a target band
+    if (glide) {
+      addGlideComponent(sum, dTheta, dDelta, phi, gain, Wg, S, TAU * Fn, qPhase, d, mode);
+    } else if (mode === "amplitude") {
+      addAmplitudeHarmonic(sum, dTheta, phi, gain, W, S, TAU * Fn, qPhase, d);
+    } else {
+      addPhaseHarmonic(sum, dTheta, phi, gain, W, S, TAU * Fn, qPhase, d);
+    }
+  }
+
+  const out = finishBlock(sum, rampN, rampShape, normalize ? targetPeak : null);
+  return { samples: out, f0, f0End, p: pPhase, q: qPhases, harmonics };
+}
+
+// Apply ramps (raised cosine in the paper) and normalize block peak (null
+// target: the caller normalises)
+function finishBlock(sum, rampN, rampShape, targetPeak) {
+  const N = sum.length;
+  const out = new Float32Array(N);
   for (let i = 0; i < N; i++) {
-    timeArray[i] = t;
-    t += invFsHz;
+    out[i] = sum[i] * rampGain(i, rampN, N, rampShape);
   }
+  if (targetPeak !== null) normalizeBlockPeak([out], targetPeak);
+  return out;
+}
 
-  // Synthesis: sum harmonics (Eq 1)
-  for (let n = nMin; n <= nMax; n++) {
-    const freq = n * f0;  // Harmonic frequency
-    const inBand = (freq >= band.lo && freq <= band.hi);
-    
-    // Random phase for this harmonic
-    const phi = rng.uniform(0, TAU);
+/**
+ * Generate one block of notched sound: an unmodulated carrier (broadband
+ * noise, or the components of carrierType) with every component inside a
+ * band attenuated by notchDepthDb. No p or q phases are drawn.
+ *
+ * @param {Object} params - As generateBlock; bands are the notches and mode is "notched"
+ * @param {string} params.notchCarrier - "noise" or "harmonic" (see NOTCH_CARRIERS)
+ * @returns {Object} {samples, f0, f0End, p: null, q: [], harmonics} - harmonics lists the
+ *   attenuated components (noise: FFT bins) per notch
+ */
+function generateNotchedBlock({
+  fsHz, seconds, frames = null, bands, carrierType = "harmonic", notchCarrier = "noise", rng, rampSec,
+  rampShape = "raisedCosine", targetPeak, modulation, harmonicGain = null, normalize = true,
+}) {
+  const N = frames ?? Math.floor(fsHz * seconds);
+  const rampN = Math.floor(fsHz * rampSec);
+  const attenuation = Math.pow(10, -modulation.notchDepthDb / 20);
+  const inNotch = (hz) => bands.some((band) => hz >= band.lo && hz <= band.hi);
+  const gainAt = (hz) => (harmonicGain ? harmonicGain(hz) : 1.0) * (inNotch(hz) ? attenuation : 1.0);
 
-    // Eq (4): F_n = log2( (n f0) / c )
-    // Frequency-dependent modulation index
-    const Fn = log2(freq / c);
-    
-    // Pre-compute constants outside inner loop (optimization)
-    const omegaFreq = TAU * freq;  // 2π * freq (constant per harmonic)
-    const tauFn = TAU * Fn;  // 2π * Fn (constant per harmonic)
-    
-    // Pre-compute modulation terms if in band (optimization)
-    let modArray = null;
-    if (inBand) {
-      modArray = new Float32Array(N);
-      for (let i = 0; i < N; i++) {
-        // Shared modulation angle: 2π[ωt + F_n S(t)] + q
-        const modAngle = W[i] + tauFn * S[i] + qPhase;
-        modArray[i] = Math.sin(modAngle);
-      }
+  if (notchCarrier === "noise") {
+    const sum = synthesizeNoise(N, fsHz, rng, modulation, gainAt);
+    const harmonics = bands.map((band) => ({ nMin: null, nMax: null, ...noiseBinsIn(N, fsHz, band) }));
+    const out = finishBlock(sum, rampN, rampShape, normalize ? targetPeak : null);
+    return { samples: out, f0: null, f0End: null, p: null, q: [], harmonics };
+  }
+
+  const { f0, f0End, components } = drawCarrier(carrierType, rng, modulation);
+  const glide = carrierType === "glide";
+  const harmonics = bands.map(() => ({ count: 0, nMin: null, nMax: null, loHz: null, hiHz: null }));
+  const sum = new Float64Array(N);
+  for (const { n, freq, startFreq, endFreq, phi } of components) {
+    // Gliding components belong to the notch holding their mid-block frequency
+    const k = bands.findIndex((band) => freq >= band.lo && freq <= band.hi);
+    if (k >= 0) {
+      const stats = harmonics[k];
+      stats.count++;
+      stats.nMin ??= n;
+      stats.nMax = n;
+      stats.loHz = Math.min(stats.loHz ?? freq, freq);
+      stats.hiHz = Math.max(stats.hiHz ?? freq, freq);
     }
+    const gain = (harmonicGain ? harmonicGain(freq) : 1.0) * (k >= 0 ? attenuation : 1.0);
+    const dTheta = TAU * startFreq / fsHz;
+    if (glide) addGlideComponent(sum, dTheta, TAU * (endFreq - startFreq) / fsHz / N, phi, gain, null, null, 0, 0, 0, null);
+    else addHarmonic(sum, dTheta, phi, gain);
+  }
 
-    // Inner loop: generate samples for this harmonic
-    for (let i = 0; i < N; i++) {
-      // Eq (2): Amplitude modulation (default)
-      let A = 1.0;
-      // Eq (3): Phase modulation (alternative)
-      let psi = 0.0;
-      
-      // Apply modulation only to frequencies within the target band
-      if (inBand && modArray) {
-        const modSin = modArray[i];
-        if (mode === "amplitude") {
-          // Eq (2): A(t) = 1 + d sin(2π[ωt + F_n S(t)] + q)
-          // Range: 0..2, mean 1
-          A = 1.0 + d * modSin;
-        } else if (mode === "phase") {
-          // Eq (3): ψ(t) = π(1 + d sin(2π[ωt + F_n S(t)] + q))
-          // Range: 0..2π (max 1 cycle)
-          psi = Math.PI * (1.0 + d * modSin);
+  const out = finishBlock(sum, rampN, rampShape, normalize ? targetPeak : null);
+  return { samples: out, f0, f0End, p: null, q: [], harmonics };
+}
+
+// Band that modulates a harmonic, or -1. Where bands overlap, the harmonic is
+// modulated once, by the band whose log-centre is nearest (smallest |F_n|).
+function bandIndexFor(freq, bands, centres) {
+  let best = -1;
+  let bestDistance = Infinity;
+  for (let k = 0; k < bands.length; k++) {
+    if (freq < bands[k].lo || freq > bands[k].hi) continue;
+    const distance = Math.abs(log2(freq / centres[k]));
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = k;
+    }
+  }
+  return best;
+}
+
+/**
+ * Render one block for every output channel (pure function of the job, so it
+ * can run in a worker thread; see blockWorker.js)
+ *
+ * @internal
+ * @param {Object} job
+ * @param {number} job.seed - Block seed (deriveBlockSeed of master seed and block index)
+ * @param {number} job.seconds - Block duration
+ * @param {number|null} job.frames - Block length in samples, overriding seconds
+ * @param {string} job.blockEnvelope - "paper" (ramps of job.rampShape) or "overlapAdd"
+ *   (constant-power crossfade windows of job.fades {fadeIn, fadeOut} samples)
+ * @param {Array<Array<Object>>} job.channelBands - Bands to modulate per output channel
+ * @param {string} job.qPhaseMode - "shared" or "independent" q per band
+ * @param {string} job.carrierType - Carrier type (see drawCarrier)
+ * @param {string} job.mode - "phase", "amplitude" or "notched" (channelBands are then the notches)
+ * @param {string} job.notchCarrier - Carrier of the notched mode: "noise" or "harmonic" (carrierType)
+ * @param {Object} job.hearingProfile - Resolved hearing profile
+ * @param {Object} job.spectralWeighting - Resolved spectral weighting (see spectralWeighting.js)
+ * @param {Object|null} job.upperLimit - Upper audible limit {hz, mode}; modulation.carrierMaxHz is already capped at it
+ * @param {Object} job.normalization - Resolved normalisation (see loudness.js);
+ *   level modes carry plateauLevel, the level of the block before its ramps
+ * @returns {Object} {samples: Float32Array (interleaved, normalised), f0, f0End, p, q, harmonics: per channel, per band}
+ */
+export function renderBlock({
+  seed, seconds, frames = null, channelBands, qPhaseMode = "shared", carrierType = "harmonic", mode, notchCarrier = "noise",
+  sampleRate, rampSec, rampShape = "raisedCosine", targetPeak, modulation, hearingProfile, spectralWeighting = { weighting: "flat" },
+  upperLimit = null, normalization, blockEnvelope = "paper", fades = null,
+}) {
+  const harmonicGain = productGain(
+    buildHarmonicGain(hearingProfile), buildSpectralGain(spectralWeighting), buildUpperLimitGain(upperLimit),
+  );
+  const levelMode = normalization.mode !== "peak";
+  const overlapAdd = blockEnvelope === "overlapAdd";
+  // Every channel restarts from the block seed and draws the same number of
+  // q phases, so all ears hear the same carrier (f0, p, q, φ draws) and only
+  // the modulated bands differ
+  const qPhaseCount = qPhaseMode === "independent" ? Math.max(1, ...channelBands.map((bands) => bands.length)) : 1;
+  const generate = mode === "notched" ? generateNotchedBlock : generateBlock;
+  const blocks = channelBands.map((bands) => generate({
+    fsHz: sampleRate,
+    seconds,
+    frames,
+    bands,
+    qPhaseCount,
+    mode,
+    carrierType,
+    notchCarrier,
+    rng: new XorShift32(seed),
+    rampSec: levelMode || overlapAdd ? 0 : rampSec, // level modes ramp after measuring
+    rampShape,
+    targetPeak,
+    modulation,
+    harmonicGain,
+    normalize: false,
+  }));
+  const channels = blocks.map((block) => block.samples);
+  if (levelMode) {
+    normalizeBlockLevel(channels, { sampleRate, ...normalization });
+    if (overlapAdd) applyCrossfadeWindows(channels, fades);
+    else applyRamps(channels, Math.floor(sampleRate * rampSec), rampShape);
+    limitTruePeak(channels, { sampleRate, ceilingDb: normalization.truePeakDb });
+  } else if (overlapAdd) {
+    // Two crossfading blocks sum to at most √2 × their peaks
+    applyCrossfadeWindows(channels, fades);
+    normalizeBlockPeak(channels, targetPeak * Math.SQRT1_2);
+  } else {
+    normalizeBlockPeak(channels, targetPeak);
+  }
+  const { f0, f0End, p, q } = blocks[0];
+  return { samples: interleave(channels), f0, f0End, p, q, harmonics: blocks.map((block) => block.harmonics) };
+}
+
+// Width of the "rolloff" taper below the upper audible limit
+const UPPER_LIMIT_ROLLOFF_OCT = 0.5;
+
+// Raised-cosine fade of the components in the last UPPER_LIMIT_ROLLOFF_OCT
+// below the limit; components above it are never drawn (see resolveTherapy)
+function buildUpperLimitGain(upperLimit) {
+  if (!upperLimit || upperLimit.mode !== "rolloff") return null;
+  const kneeHz = upperLimit.hz * Math.pow(2, -UPPER_LIMIT_ROLLOFF_OCT);
+  return (hz) => {
+    if (hz <= kneeHz) return 1;
+    const x = Math.min(1, log2(hz / kneeHz) / UPPER_LIMIT_ROLLOFF_OCT);
+    return 0.5 + 0.5 * Math.cos(Math.PI * x);
+  };
+}
+
+// Product of per-harmonic gain functions; null when none applies (unit amplitude)
+function productGain(...gains) {
+  const active = gains.filter(Boolean);
+  if (active.length <= 1) return active[0] ?? null;
+  return (hz) => active.reduce((gain, fn) => gain * fn(hz), 1);
+}
+
+// Per-band summary of the modulated harmonics over a whole file
+function createHarmonicTally(channelBands) {
+  const tally = channelBands.map((bands) => bands.map(() => ({
+    blocks: 0, total: 0, min: Infinity, max: 0, nMin: Infinity, nMax: 0, loHz: Infinity, hiHz: 0,
+  })));
+  return {
+    push({ harmonics }) {
+      harmonics.forEach((bands, ch) => bands.forEach(({ count, nMin, nMax, loHz, hiHz }, k) => {
+        const t = tally[ch][k];
+        t.blocks++;
+        t.total += count;
+        t.min = Math.min(t.min, count);
+        t.max = Math.max(t.max, count);
+        if (count > 0) {
+          // Tone-cloud components have no harmonic number
+          if (nMin !== null) {
+            t.nMin = Math.min(t.nMin, nMin);
+            t.nMax = Math.max(t.nMax, nMax);
+          }
+          t.loHz = Math.min(t.loHz, loHz);
+          t.hiHz = Math.max(t.hiHz, hiHz);
         }
-      }
+      }));
+    },
+    result() {
+      const channelNames = channelBands.length === 2 ? ["left", "right"] : ["mono"];
+      return channelBands.flatMap((bands, ch) => bands.map((band, k) => {
+        const t = tally[ch][k];
+        const any = t.total > 0;
+        return {
+          channel: channelNames[ch],
+          band: band.name,
+          lo: band.lo,
+          hi: band.hi,
+          centerHz: Math.round(Math.sqrt(band.lo * band.hi)),
+          harmonicsPerBlock: {
+            min: t.blocks ? t.min : 0,
+            mean: t.blocks ? Math.round((t.total / t.blocks) * 100) / 100 : 0,
+            max: t.max,
+          },
+          harmonicNumbers: any && t.nMin !== Infinity ? [t.nMin, t.nMax] : null,
+          frequencyRangeHz: any ? [Math.round(t.loHz), Math.round(t.hiHz)] : null,
+        };
+      }));
+    },
+  };
+}
 
-      // Eq (1): Carrier signal with modulation
-      // sin(2π f t + φ + ψ)
-      const s = Math.sin(omegaFreq * timeArray[i] + phi + psi);
-      out[i] += A * s;
+// ==================== Block Stream ====================
+/**
+ * Block layout of one file.
+ *
+ * "fixed" repeats blockSec (paper) and ends on a shorter block for the rest;
+ * "uniform" draws every length from blockSecMin..blockSecMax with the file's
+ * schedule seed, so it is reproducible and the same for every entry point.
+ * A final stretch too short for a block of its own (fixed: under two ramps,
+ * uniform: under blockSecMin) is merged into the block before it, so the
+ * file never ends on a fragment that cannot ramp out.
+ *
+ * @param {Object} plan - Resolved request (see resolveTherapy)
+ * @param {number} fileSeed - File seed (see deriveFileSeed)
+ * @returns {Object} {blocks: [{startFrame, frames}], totalBlocks, frames}
+ */
+function blockSchedule({ minutes, sampleRate, blockSec, blockDurations, blockSecMin, blockSecMax, job }, fileSeed) {
+  const totalSec = minutes * 60;
+  const lengths = [];
+  if (blockDurations === "uniform") {
+    const rng = new XorShift32(deriveScheduleSeed(fileSeed));
+    const shortest = Math.round(sampleRate * blockSecMin);
+    let left = Math.floor(sampleRate * totalSec);
+    while (left > 0) {
+      const frames = Math.round(sampleRate * rng.uniform(blockSecMin, blockSecMax));
+      if (left - frames < shortest) {
+        lengths.push(left);
+        break;
+      }
+      lengths.push(frames);
+      left -= frames;
+    }
+  } else {
+    const whole = Math.floor(totalSec / blockSec);
+    const remainder = totalSec - whole * blockSec;
+    for (let b = 0; b < whole; b++) lengths.push(Math.floor(sampleRate * blockSec));
+    if (remainder > 1e-6) {
+      const frames = Math.floor(sampleRate * remainder);
+      if (whole > 0 && frames < 2 * Math.floor(sampleRate * job.rampSec)) lengths[whole - 1] += frames;
+      else lengths.push(frames);
     }
   }
 
-  // Apply raised-cosine ramps and normalize block peak
-  let peak = 1e-9;
-  for (let i = 0; i < N; i++) {
-    const env = raisedCosineRamp(i, rampN, N);
-    out[i] *= env;
-    const a = Math.abs(out[i]);
-    if (a > peak) peak = a;
+  let startFrame = 0;
+  const blocks = lengths.map((frames) => {
+    const block = { startFrame, frames };
+    startFrame += frames;
+    return block;
+  });
+  return { blocks, totalBlocks: blocks.length, frames: startFrame };
+}
+
+/**
+ * Render the blocks of one file in order.
+ *
+ * Blocks are fanned out to a worker pool when one is given and yielded back
+ * in order; a small lookahead window bounds memory use, and nothing beyond it
+ * is rendered until the consumer asks for the next block. With the
+ * "overlapAdd" envelope each block runs on by one crossfade, which is added
+ * onto the start of the next, so the file keeps the same block layout. A
+ * sleep program's session envelope and the output level are applied here, on
+ * top of each block's own ramps and normalisation.
+ *
+ * @param {Array<Array<Object>>} channelBands - Bands {lo, hi} per output channel;
+ *   an empty list leaves that channel as an unmodulated carrier
+ * @param {number} seed - File seed (see deriveFileSeed)
+ * @param {Object} plan - Resolved request (see resolveTherapy)
+ * @param {BlockWorkerPool|null} pool - Worker pool, or null to render in-process
+ * @returns {AsyncGenerator<Object>} renderBlock results with index, totalBlocks, seed, startFrame and seconds
+ */
+async function* renderBlocks(channelBands, seed, plan, pool = null) {
+  const { job, sleep, output } = plan;
+  const { blocks, totalBlocks } = blockSchedule(plan, seed);
+  const numChannels = channelBands.length;
+  const frameCount = (b) => blocks[b].frames;
+  const seconds = (b) => blocks[b].frames / job.sampleRate;
+
+  // overlapAdd: the crossfade from block b into b + 1 lasts one ramp, or half
+  // of a shorter block; the file fades in and out from silence
+  const overlapAdd = job.blockEnvelope === "overlapAdd";
+  const rampFrames = Math.floor(job.sampleRate * job.rampSec);
+  const edgeFade = (b) => Math.min(rampFrames, Math.floor(frameCount(b) / 2));
+  const crossfade = (b) => b + 1 < totalBlocks ? edgeFade(b + 1) : 0;
+  const envelopeFor = (b) => overlapAdd ? {
+    frames: frameCount(b) + crossfade(b),
+    fades: { fadeIn: b === 0 ? edgeFade(0) : crossfade(b - 1), fadeOut: crossfade(b) || edgeFade(b) },
+  } : {};
+  const jobFor = (b) => ({
+    ...job, channelBands, seed: deriveBlockSeed(seed, b), seconds: seconds(b), frames: frameCount(b), ...envelopeFor(b),
+  });
+  const render = pool ? (b) => pool.run(jobFor(b)) : async (b) => renderBlock(jobFor(b));
+
+  // Keep each worker busy with one block in flight and one queued
+  const lookahead = pool ? pool.workers.length * 2 : 1;
+  const pending = [];
+  let next = 0;
+  let tail = null;
+
+  for (let b = 0; b < totalBlocks; b++) {
+    while (next < totalBlocks && pending.length < lookahead) {
+      const promise = render(next++);
+      promise.catch(() => {}); // awaited in order below
+      pending.push(promise);
+    }
+    const block = await pending.shift();
+    let samples = block.samples;
+    if (overlapAdd) {
+      const head = frameCount(b) * numChannels;
+      samples = block.samples.subarray(0, head);
+      if (tail) {
+        for (let i = 0; i < tail.length; i++) samples[i] += tail[i];
+        // Blocks are limited on their own; their crossfade needs it again
+        if (job.normalization.mode !== "peak") {
+          limitInterleaved(samples, numChannels, { sampleRate: job.sampleRate, ceilingDb: job.normalization.truePeakDb });
+        }
+      }
+      tail = block.samples.slice(head);
+    }
+    if (sleep) {
+      applySleepEnvelope(samples, sleep, { startFrame: blocks[b].startFrame, sampleRate: job.sampleRate, numChannels });
+    }
+    if (output.gain !== 1) {
+      for (let i = 0; i < samples.length; i++) samples[i] *= output.gain;
+    }
+    yield {
+      ...block, samples, index: b, totalBlocks, seed: deriveBlockSeed(seed, b), startFrame: blocks[b].startFrame, seconds: seconds(b),
+    };
   }
-  const scale = Math.min(1.0, targetPeak / peak);
-  for (let i = 0; i < N; i++) out[i] *= scale;
+}
+
+// Block times in the manifest, to the microsecond
+const roundSec = (sec) => Math.round(sec * 1e6) / 1e6;
 
-  return { samples: out, f0 };
+// Measured loudness, per-band harmonic tally, block schedule and per-block
+// carrier draws of one file. With a pool the true peak of each finished block
+// is scanned on a worker (the costly part of metering) and merged at the end;
+// the K-weighting filter runs across blocks and stays here.
+function createFileRecorder(channelBands, { sampleRate, carrierType }, pool = null) {
+  const numChannels = channelBands.length;
+  const meter = new LoudnessMeter({ sampleRate, numChannels });
+  const truePeaks = [];
+  const harmonics = createHarmonicTally(channelBands);
+  const blocks = [];
+  let shortest = Infinity;
+  let longest = 0;
+  return {
+    push(block) {
+      meter.push(block.samples, { scanInterior: !pool });
+      if (pool) {
+        // A copy: the job may wait in the queue while the block is quantised
+        const peak = pool.run({ task: "truePeak", samples: block.samples.slice(), numChannels });
+        peak.catch(() => {}); // awaited in result()
+        truePeaks.push(peak);
+      }
+      harmonics.push(block);
+      shortest = Math.min(shortest, block.seconds);
+      longest = Math.max(longest, block.seconds);
+      blocks.push({
+        index: block.index, seed: block.seed, startSec: roundSec(block.startFrame / sampleRate), seconds: roundSec(block.seconds),
+        f0: block.f0,
+        ...(carrierType === "glide" && { f0End: block.f0End }),
+        p: block.p, q: block.q,
+      });
+    },
+    async result() {
+      for (const peak of await Promise.all(truePeaks)) meter.addTruePeak(peak);
+      const totalSec = blocks.reduce((sum, block) => sum + block.seconds, 0);
+      const schedule = {
+        blocks: blocks.length,
+        minSec: roundSec(shortest),
+        maxSec: roundSec(longest),
+        meanSec: roundSec(totalSec / blocks.length),
+      };
+      return { loudness: meter.result(), harmonics: harmonics.result(), schedule, blocks };
+    },
+  };
+}
+
+// Progress of one file; with a sham file the active file covers 0-50% and the sham 50-100%
+function progressReporter(onProgress, { file, fileType, generateSham }) {
+  if (!onProgress) return null;
+  const [offset, scale] = !generateSham ? [0, 1] : fileType === "active" ? [0, 0.5] : [0.5, 0.5];
+  return ({ index, totalBlocks }) => onProgress({
+    file,
+    block: index + 1,
+    totalBlocks,
+    progress: offset + ((index + 1) / totalBlocks) * scale,
+    fileType,
+  });
 }
 
 /**
- * Generate full WAV file by concatenating blocks
- * 
+ * Generate full WAV (or FLAC) file by concatenating blocks
+ *
  * @param {string} filepath - Output file path
- * @param {Object} band - Frequency band {lo, hi}
- * @param {Object} config - Generation configuration
+ * @param {string} fileType - "active" or "sham"
+ * @param {Object} plan - Resolved request (see resolveTherapy)
+ * @param {BlockWorkerPool|null} pool - Worker pool, or null to render in-process
+ * @param {Function|null} onProgress - Progress callback
+ * @returns {Promise<Object>} {loudness: measured loudness (see LoudnessMeter), harmonics: per-band breakdown,
+ *   schedule: block count and durations, blocks: per-block seed, timing and carrier draws (f0, p, q) for the manifest}
  */
-async function generateFile(filepath, band, { sampleRate, minutes, blockSec, rampSec, mode, targetPeak, seed, onProgress, progressScale = 1.0 }) {
+async function generateFile(filepath, fileType, plan, pool, onProgress) {
+  const { format, sampleRate, sampleFormat } = plan;
+  const channelBands = plan.channels[fileType];
+  const numChannels = channelBands.length;
+  const { bitsPerSample, float } = SAMPLE_FORMATS[sampleFormat];
+  // The block layout fixes the length, so RF64 is decided before the first write
+  const { frames } = blockSchedule(plan, plan.seeds[fileType]);
+  const metadata = format === "wav" ? wavMetadata(plan, fileType, PENDING_MD5) : null;
+  const metadataBytes = wavMetadataChunks(metadata).length;
+  const rf64 = wavNeedsRf64({ numChannels, bitsPerSample, float, metadataBytes }, frames * numChannels * (bitsPerSample / 8));
   fs.mkdirSync(path.dirname(filepath), { recursive: true });
   const fd = fs.openSync(filepath, "w");
 
-  // Placeholder header; finalize later
-  writeWavHeader(fd, { sampleRate, numChannels: 1, bitsPerSample: 16, dataBytes: 0 });
+  // FLAC consumes the same quantised block stream as the WAV sample encoders
+  const flac = format === "flac" ? new FlacEncoder(fd, { sampleRate, numChannels, bitsPerSample }) : null;
+  const quantize = createQuantizer(plan, fileType, numChannels);
+  const encode = SAMPLE_ENCODERS[sampleFormat];
+  const digest = crypto.createHash("md5");
 
-  const totalSec = minutes * 60;
-  const blocks = Math.floor(totalSec / blockSec);
-  const remainder = totalSec - blocks * blockSec;
-  const totalBlocks = blocks + (remainder > 1e-6 ? 1 : 0);
-
-  // Create RNG instance for this file (ensures reproducibility with seed)
-  const rng = new XorShift32(seed);
-
-  for (let b = 0; b < blocks; b++) {
-    const { samples } = generateBlock({
-      fsHz: sampleRate,
-      seconds: blockSec,
-      band,
-      mode,
-      rng,
-      rampSec,
-      targetPeak,
-    });
-    writePcm16(fd, samples);
-    
-    // Report progress (scaled by progressScale - 0.5 if sham enabled, 1.0 if not)
-    if (onProgress) {
-      onProgress({
-        file: path.basename(filepath),
-        block: b + 1,
-        totalBlocks: totalBlocks, // Use totalBlocks to account for remainder
-        progress: ((b + 1) / totalBlocks) * progressScale, // Use totalBlocks in denominator
-      });
-      // Yield control to allow SSE stream to flush
-      await new Promise(resolve => setImmediate(resolve));
+  if (!flac) {
+    // Placeholder header; finalize later. Written sequentially so the sample
+    // data that follows starts after it rather than overwriting it.
+    fs.writeSync(fd, buildWavHeader({ sampleRate, numChannels, bitsPerSample, float, dataBytes: 0, rf64, metadata }));
+  }
+
+  const recorder = createFileRecorder(channelBands, plan.job, pool);
+  const report = progressReporter(onProgress, { file: path.basename(filepath), fileType, generateSham: plan.generateSham });
+
+  try {
+    for await (const block of renderBlocks(channelBands, plan.seeds[fileType], plan, pool)) {
+      recorder.push(block);
+      if (flac) {
+        flac.write(quantize(block.samples));
+      } else {
+        const bytes = encode(quantize(block.samples));
+        digest.update(bytes);
+        fs.writeSync(fd, bytes);
+      }
+
+      if (report) {
+        report(block);
+        // Yield control to allow SSE stream to flush
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    if (flac) {
+      flac.finish();
+    } else {
+      metadata.record.dataMd5 = digest.digest("hex");
+      finalizeWav(fd, { sampleRate, numChannels, bitsPerSample, float, rf64, metadata });
     }
+  } finally {
+    fs.closeSync(fd);
   }
+  return recorder.result();
+}
 
-  if (remainder > 1e-6) {
-    const { samples } = generateBlock({
-      fsHz: sampleRate,
-      seconds: remainder,
-      band,
-      mode,
-      rng,
-      rampSec,
-      targetPeak,
-    });
-    writePcm16(fd, samples);
-    
-    if (onProgress) {
-      onProgress({
-        file: path.basename(filepath),
-        block: blocks + 1,
-        totalBlocks: totalBlocks,
-        progress: progressScale, // File complete
-      });
-      await new Promise(resolve => setImmediate(resolve));
+/**
+ * Render one file into memory.
+ *
+ * @param {string} fileType - "active" or "sham"
+ * @param {Object} plan - Resolved request (see resolveTherapy)
+ * @param {BlockWorkerPool|null} pool - Worker pool, or null to render in-process
+ * @param {Function|null} onProgress - Progress callback
+ * @returns {Promise<Object>} {samples, data, numChannels, frames, loudness, harmonics, schedule, blocks}
+ */
+async function renderFile(fileType, plan, pool, onProgress) {
+  const { format, sampleRate, sampleFormat } = plan;
+  const channelBands = plan.channels[fileType];
+  const numChannels = channelBands.length;
+  const { bitsPerSample, float } = SAMPLE_FORMATS[sampleFormat];
+  const { frames } = blockSchedule(plan, plan.seeds[fileType]);
+
+  const samples = new Float32Array(frames * numChannels);
+  const sink = format ? new MemorySink() : null;
+  const flac = format === "flac" ? new FlacEncoder(sink, { sampleRate, numChannels, bitsPerSample }) : null;
+  const quantize = createQuantizer(plan, fileType, numChannels);
+  const encode = SAMPLE_ENCODERS[sampleFormat];
+  const dataBytes = frames * numChannels * (bitsPerSample / 8);
+  const metadata = format === "wav" ? wavMetadata(plan, fileType, PENDING_MD5) : null;
+  const digest = crypto.createHash("md5");
+  if (metadata) {
+    sink.write(buildWavHeader({ sampleRate, numChannels, bitsPerSample, float, dataBytes, metadata }));
+  }
+
+  const recorder = createFileRecorder(channelBands, plan.job, pool);
+  const report = progressReporter(onProgress, { file: null, fileType, generateSham: plan.generateSham });
+  let offset = 0;
+  for await (const block of renderBlocks(channelBands, plan.seeds[fileType], plan, pool)) {
+    recorder.push(block);
+    samples.set(block.samples, offset);
+    offset += block.samples.length;
+    if (flac) {
+      flac.write(quantize(block.samples));
+    } else if (sink) {
+      const bytes = encode(quantize(block.samples));
+      digest.update(bytes);
+      sink.write(bytes);
     }
+    report?.(block);
+  }
+  flac?.finish();
+  if (metadata) {
+    // Same header size: only the digest changes
+    metadata.record.dataMd5 = digest.digest("hex");
+    sink.write(buildWavHeader({ sampleRate, numChannels, bitsPerSample, float, dataBytes, metadata }), 0);
   }
 
-  finalizeWav(fd, { sampleRate, numChannels: 1, bitsPerSample: 16 });
-  fs.closeSync(fd);
+  return { samples, data: sink ? sink.toBuffer() : null, numChannels, frames, ...(await recorder.result()) };
 }
 
-// ==================== Public API ====================
+// ==================== Generation Manifest ====================
+// What produced a file: the complete request and the seeds. Passing
+// request back to generateSoundFiles reproduces the file bit for bit.
+function generationRecord(plan, fileType) {
+  return {
+    algorithmVersion: ALGORITHM_VERSION,
+    fileType,
+    seed: plan.seed,
+    fileSeed: plan.seeds[fileType],
+    request: plan.request,
+    channelBands: plan.channels[fileType],
+    bandLogic: plan.info.bandLogic,
+    carrier: plan.info.carrier,
+  };
+}
+
+// A JSON sidecar next to each audio file (<file>.json) with the generation
+// record, the measured loudness and the per-block carrier draws
+function buildManifest(plan, fileType, file, rendered) {
+  return {
+    createdAt: new Date().toISOString(),
+    file,
+    ...generationRecord(plan, fileType),
+    loudness: rendered.loudness,
+    bandBreakdown: rendered.harmonics,
+    blockSchedule: rendered.schedule,
+    blocks: rendered.blocks,
+  };
+}
+
+// Placeholder of the final digest's length, so the header size is known
+// before the data is written
+const PENDING_MD5 = "0".repeat(32);
+
+// Embedded in every WAV (see wavMetadataChunks): the generation record with
+// the frame count and an MD5 of the data chunk, and a readable title. Free of
+// timestamps, so the same request and seed still give identical files.
+function wavMetadata(plan, fileType, dataMd5) {
+  const channelBands = plan.channels[fileType];
+  const channelNames = channelBands.length === 2 ? ["L", "R"] : [null];
+  const bands = channelBands.map((bands, ch) => {
+    const names = bands.length > 0 ? bands.map((band) => band.name).join(", ") : "carrier only";
+    return channelNames[ch] ? `${channelNames[ch]}: ${names}` : names;
+  }).join("; ");
+  return {
+    info: {
+      INAM: `Tinnitus sound therapy, ${fileType}, ${plan.info.mode === "notched" ? "notched" : `${plan.info.mode} modulation`}, ${plan.label}`,
+      ICMT: `Bands ${bands}; carrier ${plan.info.carrier.type}; seed ${plan.seed}; ${plan.minutes} min`,
+      ISFT: `tinnitus-tool (algorithm version ${ALGORITHM_VERSION})`,
+    },
+    record: {
+      ...generationRecord(plan, fileType),
+      frames: blockSchedule(plan, plan.seeds[fileType]).frames,
+      dataMd5,
+    },
+  };
+}
+
+function writeManifest(audioPath, manifest) {
+  const manifestPath = `${audioPath}.json`;
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+  return path.basename(manifestPath);
+}
+
+// Carrier type and the parameters that shape it, for the result
+function carrierSummary(type, { jitter, glideOct, rippleDensity }, notch = null) {
+  if (notch?.carrier === "noise") return { type: "noise" };
+  if (type === "jittered") return { type, jitter };
+  if (type === "glide") return { type, glideOct };
+  if (type === "ripple") return { type, rippleDensity };
+  return { type };
+}
+
+// ==================== Request Resolution ====================
 /**
- * Generate sound therapy files (active and sham)
- * 
- * @param {Object} params
- * @param {number} params.tinnitusHz - Estimated tinnitus frequency in Hz
- * @param {string} params.mode - "phase" or "amplitude" modulation
- * @param {number} params.minutes - Duration in minutes (default: 60)
- * @param {boolean} params.useAltActive - Use alternative active band (A2) if available
- * @param {boolean} params.useAltSham - Use alternative sham band (C2) if available
- * @returns {Promise<Object>} File information
+ * Validate a request and resolve everything the renderers need: parameters,
+ * bands per channel, seeds and the reproducible request record. Shared by
+ * generateSoundFiles, renderTherapy and createTherapyStream, so all three
+ * give identical samples for the same request and seed.
+ *
+ * @param {Object} options - See generateSoundFiles
+ * @param {Array<string|null>} formats - Output formats this entry point supports
+ * @returns {Object} Plan: format, sampleRate, sampleFormat, minutes, blockSec, blockDurations,
+ *   blockSecMin, blockSecMax, generateSham,
+ *   concurrency, job (renderBlock fields), channels {active, sham}, seed, seeds, level, sleep,
+ *   output (level gain and dither), request,
+ *   label (filename stem) and info (result metadata)
+ * @throws {RangeError} If any option is invalid
  */
-export async function generateSoundFiles({ 
-  tinnitusHz, 
-  mode = "phase", 
+function resolveTherapy({
+  tinnitusHz,
+  mode = "phase",
+  notchCarrier: notchCarrierOption = null,
   minutes = 60,
+  sampleRate = 44100,
+  sampleFormat = "pcm16",
+  format = "wav",
   useAltActive = false,
   useAltSham = false,
+  upperLimitHz = null,
+  upperLimitMode: upperLimitModeOption = null,
+  bandMode = "table1",
+  bandWidthOct = 1,
+  bandTable = null,
+  activeBand: explicitActiveBand = null,
+  shamBand: explicitShamBand = null,
+  qPhaseMode = "shared",
+  carrierType = "harmonic",
+  blockEnvelope = "paper",
+  blockDurations = "fixed",
+  rampShape = null,
   generateSham = false,
-  onProgress = null
-}) {
-  // Map tinnitus frequency to nearest match key from paper
-  const matchKey = nearestMatchKeyKHz(tinnitusHz);
-  const mapEntry = TABLE1_MAP.get(matchKey);
-  if (!mapEntry) {
-    throw new Error(`Internal mapping error for match key: ${matchKey}`);
+  hearingProfile = null,
+  spectralWeighting = "flat",
+  phon = null,
+  ears = null,
+  concurrency = DEFAULT_CONCURRENCY,
+  normalization = "peak",
+  targetLevel = null,
+  truePeakDb = null,
+  outputLevelDb = 0,
+  dither = DEFAULT_DITHER,
+  seed = crypto.randomInt(MAX_SEED + 1),
+  sleep = null,
+  ...overrides
+}, formats) {
+  if (!SAMPLE_RATES.includes(sampleRate)) {
+    throw new RangeError(`Invalid sampleRate: ${sampleRate} (expected one of ${SAMPLE_RATES.join(", ")})`);
+  }
+  if (!SAMPLE_FORMATS[sampleFormat]) {
+    throw new RangeError(`Invalid sampleFormat: ${sampleFormat} (expected one of ${Object.keys(SAMPLE_FORMATS).join(", ")})`);
+  }
+  if (!formats.includes(format)) {
+    throw new RangeError(`Invalid format: ${format} (expected one of ${formats.join(", ")})`);
+  }
+  if (format === "flac" && SAMPLE_FORMATS[sampleFormat].float) {
+    throw new RangeError("FLAC output requires an integer sampleFormat (pcm16 or pcm24)");
+  }
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_MINUTES) {
+    throw new RangeError(`Invalid minutes: ${minutes} (expected 0..${MAX_MINUTES})`);
+  }
+  if (!THERAPY_MODES[mode]) {
+    throw new RangeError(`Invalid mode: ${mode} (expected one of ${Object.keys(THERAPY_MODES).join(", ")})`);
+  }
+  // Only the notched mode has a notch carrier; requests record null otherwise
+  const notchCarrier = notchCarrierOption ?? "noise";
+  if (!NOTCH_CARRIERS[notchCarrier]) {
+    throw new RangeError(`Invalid notchCarrier: ${notchCarrierOption} (expected one of ${Object.keys(NOTCH_CARRIERS).join(", ")})`);
+  }
+  if (mode === "notched" && notchCarrier === "noise" && carrierType !== "harmonic") {
+    throw new RangeError(`carrierType ${carrierType} needs notchCarrier "harmonic" (the noise carrier has no components)`);
+  }
+  if (!Q_PHASE_MODES.includes(qPhaseMode)) {
+    throw new RangeError(`Invalid qPhaseMode: ${qPhaseMode} (expected one of ${Q_PHASE_MODES.join(", ")})`);
+  }
+  if (!CARRIER_TYPES[carrierType]) {
+    throw new RangeError(`Invalid carrierType: ${carrierType} (expected one of ${Object.keys(CARRIER_TYPES).join(", ")})`);
+  }
+  if (!BLOCK_ENVELOPES[blockEnvelope]) {
+    throw new RangeError(`Invalid blockEnvelope: ${blockEnvelope} (expected one of ${Object.keys(BLOCK_ENVELOPES).join(", ")})`);
+  }
+  if (!BLOCK_DURATIONS[blockDurations]) {
+    throw new RangeError(`Invalid blockDurations: ${blockDurations} (expected one of ${Object.keys(BLOCK_DURATIONS).join(", ")})`);
+  }
+  // Crossfades are equal-power by construction; the paper ramps use a raised cosine
+  const ramp = rampShape ?? (blockEnvelope === "overlapAdd" ? "equalPower" : "raisedCosine");
+  if (!RAMP_SHAPES[ramp]) {
+    throw new RangeError(`Invalid rampShape: ${rampShape} (expected one of ${Object.keys(RAMP_SHAPES).join(", ")})`);
+  }
+  if (blockEnvelope === "overlapAdd" && ramp !== "equalPower") {
+    throw new RangeError(`Invalid rampShape: ${rampShape} (overlapAdd crossfades are always equalPower)`);
+  }
+  // Requests without an upper limit record null
+  const upperLimitMode = upperLimitModeOption ?? "truncate";
+  if (!UPPER_LIMIT_MODES[upperLimitMode]) {
+    throw new RangeError(`Invalid upperLimitMode: ${upperLimitModeOption} (expected one of ${Object.keys(UPPER_LIMIT_MODES).join(", ")})`);
+  }
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    throw new RangeError(`Invalid seed: ${seed} (expected an integer 0..${MAX_SEED})`);
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw new RangeError(`Invalid concurrency: ${concurrency} (expected an integer 1..${MAX_CONCURRENCY})`);
   }
 
-  // Select bands according to Table 1 (with contingency options)
-  const activeBandIdx = (useAltActive && mapEntry.a2 != null) ? mapEntry.a2 : mapEntry.a1;
-  const shamBandIdx = (useAltSham && mapEntry.c2 != null) ? mapEntry.c2 : mapEntry.c1;
+  // Generation parameters (paper defaults unless overridden)
+  const parameters = resolveModulationParameters(overrides, { sampleRate });
+  const { blockSec, blockSecMin, blockSecMax, rampSec, targetPeak, ...modulation } = parameters;
+  if (blockDurations === "uniform" && 2 * rampSec > blockSecMin) {
+    throw new RangeError(`rampSec (${rampSec}) must be at most half of blockSecMin (${blockSecMin})`);
+  }
+  const minLimitHz = Math.max(parameters.carrierMinHz, parameters.f0MaxHz);
+  if (upperLimitHz !== null && (!Number.isFinite(upperLimitHz) || upperLimitHz <= minLimitHz)) {
+    throw new RangeError(`Invalid upperLimitHz: ${upperLimitHz} (expected above carrierMinHz and f0MaxHz, ${minLimitHz} Hz)`);
+  }
+  // The carrier stops at the upper audible limit: components above it are not drawn
+  const upperLimit = upperLimitHz === null ? null : {
+    hz: upperLimitHz,
+    mode: upperLimitMode,
+    carrierMaxHz: Math.min(parameters.carrierMaxHz, upperLimitHz),
+  };
 
-  const activeBand = BANDS[activeBandIdx];
-  const shamBand = BANDS[shamBandIdx];
+  // Level normalisation; the plateau target compensates for the ramps so the
+  // whole file measures targetLevel (crossfades keep the level constant;
+  // random durations are compensated at their mean length)
+  const level = resolveNormalization({ normalization, targetLevel, truePeakDb });
+  const blockSamples = Math.floor(sampleRate * (blockDurations === "uniform" ? (blockSecMin + blockSecMax) / 2 : blockSec));
+  const rampSamples = Math.floor(sampleRate * rampSec);
+  const blockNormalization = level.mode === "peak" ? level : {
+    ...level,
+    plateauLevel: blockEnvelope === "overlapAdd"
+      ? level.targetLevel
+      : level.targetLevel - envelopeLevelDb(rampEnvelope(blockSamples, rampSamples, ramp), { mode: level.mode, sampleRate }),
+  };
 
-  // Generation parameters (per paper defaults)
-  const sampleRate = 44100;
-  const blockSec = 4;      // 4-second blocks
-  const rampSec = 1;       // 1-second ramps (0.5s in + 0.5s out per block)
-  const targetPeak = 0.80; // Keep headroom to avoid clipping
-  const seed = Date.now(); // Random seed for reproducibility
+  // Master output level and requantisation of integer formats
+  const { bitsPerSample, float } = SAMPLE_FORMATS[sampleFormat];
+  const output = resolveOutputStage({ outputLevelDb, dither, float });
 
-  const outDir = path.join(__dirname, "generated");
-  // Filename format: active_phase_8000Hz_60min.wav
-  const activePath = path.join(outDir, `active_${mode}_${Math.round(tinnitusHz)}Hz_${minutes}min.wav`);
-  const shamPath = path.join(outDir, `sham_${mode}_${Math.round(tinnitusHz)}Hz_${minutes}min.wav`);
+  // Resolve hearing-slope correction before any work so bad input fails fast
+  const profile = resolveHearingProfile(hearingProfile);
+  const weighting = resolveSpectralWeighting({ spectralWeighting, phon });
+  const sleepProgram = resolveSleepProgram(sleep, minutes * 60);
 
-  const progressScale = generateSham ? 0.5 : 1.0;
-  
-  const config = {
+  // Map tinnitus frequency (or one per ear) to active/sham bands. Notches
+  // are centred on the match (the sham file gets the adjacent band as a
+  // placebo notch); "explicit" bands set them directly. Notches are clipped
+  // to the carrier rather than rejected when they reach past its edges
+  const notched = mode === "notched";
+  const notch = notched ? { carrier: notchCarrier, widthOct: parameters.notchWidthOct, depthDb: parameters.notchDepthDb } : null;
+  const bandSpec = resolveBandSpec({
+    bandMode: notched && bandMode !== "explicit" ? "centered" : bandMode,
+    bandWidthOct: notched ? notch.widthOct : bandWidthOct,
+    bandTable, activeBand: explicitActiveBand, shamBand: explicitShamBand, useAltActive, useAltSham,
+    upperLimitHz, generateSham, clipToCarrier: notched,
+  });
+  const carrier = { carrierMinHz: parameters.carrierMinHz, carrierMaxHz: parameters.carrierMaxHz };
+  const matches = ears ? [] : resolveMatches(tinnitusHz, "tinnitusHz");
+  if (!ears && bandMode !== "explicit" && matches.length === 0) {
+    throw new RangeError(`Invalid tinnitusHz: ${tinnitusHz}`);
+  }
+  const earBands = ears ? resolveEars(ears, bandSpec, carrier) : null;
+  const { activeBands, shamBands, bandLogic } = earBands
+    ? { activeBands: [], shamBands: [], bandLogic: { mode: bandMode } }
+    : resolveBands(matches, bandSpec, carrier);
+  const activeChannels = earBands ? [earBands.left.activeBands, earBands.right.activeBands] : [activeBands];
+  const shamChannels = earBands ? [earBands.left.shamBands, earBands.right.shamBands] : [shamBands];
+
+  // Bands extrapolated below carrierMinHz (matches below 1 kHz) extend the
+  // carrier down to them; otherwise every band already lies inside it
+  const bandedChannels = generateSham ? [...activeChannels, ...shamChannels] : activeChannels;
+  const lowestBandHz = Math.min(...bandedChannels.flat().map((band) => band.lo));
+  const carrierMinHz = Math.min(parameters.carrierMinHz, lowestBandHz);
+  const carrierExtension = carrierMinHz < parameters.carrierMinHz ? { fromHz: parameters.carrierMinHz, toHz: carrierMinHz } : null;
+  const extrapolated = bandedChannels.flat().some((band) => band.lo < PAPER_CARRIER_MIN_HZ);
+
+  // Independent draws for active and sham, both reproducible from the master seed
+  const seeds = { active: deriveFileSeed(seed, "active"), sham: generateSham ? deriveFileSeed(seed, "sham") : null };
+
+  // Filename stem: 8000Hz (stereo: L8000Hz_Rcarrier); multi-tone matches
+  // join with "+", e.g. 4000+8000Hz
+  const hzLabel = (hz) => `${asList(hz).map(Math.round).join("+")}Hz`;
+  const earLabel = (ear) => ear.tinnitusHz === null ? "carrier" : hzLabel(ear.tinnitusHz);
+  // Explicit bands without a match are labelled by the active band instead
+  const monoLabel = () => matches.length > 0 ? hzLabel(matches) : `${Math.round(activeBands[0].lo)}-${Math.round(activeBands[0].hi)}Hz`;
+  const label = earBands ? `L${earLabel(earBands.left)}_R${earLabel(earBands.right)}` : monoLabel();
+
+  // Everything needed to reproduce the output (concurrency and progress
+  // reporting do not affect the samples)
+  const request = {
+    seed,
+    tinnitusHz: ears ? null : tinnitusHz ?? null,
+    ears,
+    mode,
+    notchCarrier: notched ? notchCarrier : null,
+    minutes,
+    sampleRate,
+    sampleFormat,
+    format,
+    bandMode,
+    bandWidthOct,
+    bandTable: bandSpec.bandTable,
+    activeBand: explicitActiveBand,
+    shamBand: explicitShamBand,
+    useAltActive,
+    useAltSham,
+    upperLimitHz,
+    upperLimitMode: upperLimit ? upperLimitMode : null,
+    qPhaseMode,
+    carrierType,
+    blockEnvelope,
+    blockDurations,
+    rampShape: ramp,
+    generateSham,
+    hearingProfile,
+    spectralWeighting: weighting.weighting,
+    phon: weighting.phon,
+    sleep,
+    normalization: level.mode,
+    targetLevel: level.targetLevel,
+    truePeakDb: level.truePeakDb,
+    outputLevelDb: output.outputLevelDb,
+    dither: output.dither,
+    ...parameters,
+  };
+
+  return {
+    format,
     sampleRate,
+    sampleFormat,
     minutes,
     blockSec,
-    rampSec,
-    mode,
-    targetPeak,
+    blockDurations,
+    blockSecMin,
+    blockSecMax,
+    generateSham,
+    concurrency,
+    job: {
+      qPhaseMode,
+      carrierType,
+      blockEnvelope,
+      mode,
+      notchCarrier,
+      sampleRate,
+      rampSec,
+      rampShape: ramp,
+      targetPeak,
+      modulation: { ...modulation, carrierMinHz, ...(upperLimit && { carrierMaxHz: upperLimit.carrierMaxHz }) },
+      hearingProfile: profile,
+      spectralWeighting: weighting,
+      upperLimit,
+      normalization: blockNormalization,
+    },
+    channels: { active: activeChannels, sham: generateSham ? shamChannels : null },
     seed,
-    progressScale,
-    onProgress: onProgress ? (progress) => {
-      // Adjust progress: active file is 0-50% if sham is enabled, 0-100% if not
-      onProgress({
-        ...progress,
-        progress: progress.progress,
-        fileType: 'active',
-      });
-    } : null,
+    seeds,
+    level,
+    sleep: sleepProgram,
+    output,
+    request,
+    label,
+    info: {
+      tinnitusHz: earBands || matches.length === 0 ? null : Array.isArray(tinnitusHz) ? matches.map(Math.round) : Math.round(tinnitusHz),
+      mode,
+      minutes,
+      channels: activeChannels.length,
+      format,
+      sampleRate,
+      sampleFormat,
+      activeBand: activeBands[0] ?? null,
+      shamBand: generateSham ? shamBands[0] ?? null : null,
+      activeBands,
+      shamBands: generateSham ? shamBands : [],
+      bandLogic,
+      extrapolated,
+      carrierExtension,
+      upperLimit,
+      qPhaseMode,
+      carrier: carrierSummary(carrierType, modulation, notch),
+      notch,
+      blockEnvelope,
+      blockDurations,
+      rampShape: ramp,
+      ears: earBands,
+      hearingProfile: profile,
+      spectralWeighting: { ...weighting, curve: weightingCurve(weighting, { ...carrier, carrierMinHz }) },
+      sleep: sleepProgram && { ...sleepProgram, envelope: sleepEnvelope(sleepProgram) },
+      outputLevelDb: output.outputLevelDb,
+      noiseFloor: float ? null : noiseFloor({ bitsPerSample, dither: output.dither, sampleRate }),
+      parameters,
+      concurrency,
+      seed,
+      seeds,
+      algorithmVersion: ALGORITHM_VERSION,
+    },
   };
+}
 
-  await generateFile(activePath, activeBand, config);
-  
-  let shamResult = null;
-  if (generateSham) {
-    // Update config for sham file (50-100%)
-    config.onProgress = onProgress ? (progress) => {
-      onProgress({
-        ...progress,
-        progress: 0.5 + (progress.progress * 0.5), // Second file is 50-100%
-        fileType: 'sham',
-      });
-    } : null;
-    
-    await generateFile(shamPath, shamBand, config);
-    shamResult = path.basename(shamPath);
+function createPool(concurrency) {
+  return concurrency > 1 ? new BlockWorkerPool(concurrency, BLOCK_WORKER_URL) : null;
+}
+
+// ==================== Public API ====================
+/**
+ * Generate sound therapy files (active and sham)
+ * 
+ * @param {Object} params
+ * @param {number|Array<number>} params.tinnitusHz - Estimated tinnitus frequency in Hz (mono output);
+ *   an array (multi-tone tinnitus) modulates the band of every match in the same file. Matches below
+ *   1 kHz get bands extrapolated beyond the paper (info.extrapolated) and extend the carrier down to them
+ * @param {Object} params.ears - Stereo output: { left, right } tinnitus frequency (or array) per ear in Hz,
+ *   null for an unmodulated carrier in that ear (replaces tinnitusHz)
+ * @param {string} params.mode - "phase" (default) or "amplitude" modulation, or "notched": no modulation,
+ *   the carrier is attenuated by notchDepthDb over notchWidthOct octaves centred on each match
+ *   (the sham file gets the adjacent band; bandMode "explicit" sets the notches directly)
+ * @param {string} params.notchCarrier - Carrier of the notched mode: "noise" (default, broadband
+ *   noise across the carrier range) or "harmonic" (the components of carrierType)
+ * @param {number} params.minutes - Duration in minutes (default: 60)
+ * @param {number} params.sampleRate - Output sample rate: 44100 (default), 48000 or 96000
+ * @param {string} params.sampleFormat - "pcm16" (default), "pcm24" or "float32" (IEEE float)
+ * @param {string} params.format - "wav" (default) or "flac" (lossless, pcm16/pcm24 only)
+ * @param {boolean} params.useAltActive - Use alternative active band (A2) if available
+ * @param {boolean} params.useAltSham - Use alternative sham band (C2) if available
+ * @param {number} params.upperLimitHz - Upper audible limit from the pitch match (null for none): the carrier
+ *   stops there, and Table 1 switches to A2/C2 where the preferred band reaches above it
+ * @param {string} params.upperLimitMode - "truncate" (default) or "rolloff" (raised-cosine fade over the
+ *   half octave below the limit)
+ * @param {string} params.bandMode - Band logic (see bandMapping.js): "table1" (default, paper Table 1),
+ *   "octave" (Table 1's octave rule without snapping), "table" (bandTable lookup),
+ *   "centered" (bandWidthOct around the match, adjacent sham) or "explicit" (activeBand/shamBand)
+ * @param {number} params.bandWidthOct - Band width in octaves for "centered" (0.25..3, default 1)
+ * @param {Object} params.bandTable - Mapping table for "table": { name, bands: [{name, lo, hi}],
+ *   rows: [{matchKHz, a1, a2, c1, c2}] } with band names, in the schema of PAPER_TABLE
+ * @param {Object|Array<Object>} params.activeBand - { lo, hi } in Hz (or an array) for "explicit"
+ * @param {Object|Array<Object>} params.shamBand - { lo, hi } in Hz (or an array) for "explicit" (required with generateSham)
+ * @param {string} params.qPhaseMode - With several bands: "shared" (default) q phase, or "independent" q per band
+ * @param {string} params.carrierType - "harmonic" (default, paper), "jittered" (inharmonic, jitter),
+ *   "glide" (f0 glide of glideOct per block) or "ripple" (log-spaced tone cloud, rippleDensity)
+ * @param {string|Object} params.hearingProfile - Hearing-slope correction: preset name
+ *   (e.g. "moderate-slope") or { preset | audiogram, compensation, maxGainDb }
+ * @param {string} params.spectralWeighting - Per-harmonic carrier weighting: "flat" (default, paper),
+ *   "pink" (-3 dB/oct) or "equalLoudness" (inverse ISO 226 contour at phon), 0 dB at 1 kHz
+ * @param {number} params.phon - Contour level for "equalLoudness" (20..90, default 60)
+ * @param {number} params.d - Modulation depth (0..1, default 1.0)
+ * @param {number} params.omega - Temporal modulation rate in Hz (0..8, default 1.0)
+ * @param {number} params.mu - Mean SMR in cycles/octave (0..12, default 4.5)
+ * @param {number} params.r - SMR variability in cycles/octave (0..12, default 3.0)
+ * @param {number} params.nu - SMR rate in Hz (0..2, default 0.125)
+ * @param {number} params.f0MinHz - Lowest random f0 (20..1000, default 96)
+ * @param {number} params.f0MaxHz - Highest random f0 (20..1000, default 256)
+ * @param {number} params.carrierMinHz - Carrier lower limit (100..20000, default 1000); lowered to the
+ *   bands of matches below 1 kHz (info.carrierExtension)
+ * @param {number} params.carrierMaxHz - Carrier upper limit (100..20000, below Nyquist, default 16000)
+ * @param {number} params.jitter - Component offset as a fraction of f0 for "jittered" (0..0.5, default 0.25)
+ * @param {number} params.glideOct - f0 glide across each block in octaves for "glide" (-2..2, default 0.5)
+ * @param {number} params.rippleDensity - Tones per octave for "ripple" (4..100, default 24)
+ * @param {number} params.notchWidthOct - Notch width in octaves for "notched" (0.25..2, default 1)
+ * @param {number} params.notchDepthDb - Notch attenuation in dB for "notched" (3..120, default 60)
+ * @param {number} params.blockSec - Block duration in seconds (0.5..60, default 4)
+ * @param {string} params.blockDurations - "fixed" (default, every block blockSec) or "uniform"
+ *   (each length drawn from blockSecMin..blockSecMax, defaults 3..6 s, reproducible from the seed)
+ * @param {number} params.blockSecMin - Shortest random block in seconds (0.5..60, at least 2 × rampSec)
+ * @param {number} params.blockSecMax - Longest random block in seconds (0.5..60)
+ * @param {number} params.rampSec - Ramp duration in seconds (at most blockSec / 2, default 1)
+ * @param {string} params.rampShape - "raisedCosine" (paper default), "hann" (whole-block window),
+ *   "linear" or "equalPower" (default and only choice with overlapAdd)
+ * @param {string} params.blockEnvelope - "paper" (default, every block ramped in and out) or "overlapAdd"
+ *   (consecutive blocks crossfade over rampSec with constant-power windows; not the study protocol)
+ * @param {number} params.targetPeak - Block peak level (0.01..1, default 0.80), used by "peak" normalisation
+ * @param {string} params.normalization - "peak" (default, per-block peak as in the paper),
+ *   "rms" (constant RMS, dBFS) or "lufs" (constant BS.1770 loudness), the latter two with a true-peak limiter
+ * @param {number} params.targetLevel - Target in dBFS for "rms" (-60..-3, default -20) or LUFS for "lufs" (-60..-5, default -23)
+ * @param {number} params.truePeakDb - Limiter ceiling in dBTP (-20..0, default -1)
+ * @param {number} params.outputLevelDb - Output level in dBFS (-60..0, default 0): gain applied to the
+ *   finished signal, e.g. -30 for quiet playback with the full resolution of the quantiser kept by dither
+ * @param {string} params.dither - Integer formats: "tpdf" (default), "shaped" (TPDF with first-order
+ *   noise shaping) or "none" (plain rounding); the result reports the `noiseFloor`
+ * @param {boolean|Object} params.sleep - Sleep program: true for the defaults or { fadeInSec, taperDb,
+ *   taperMinutes, fadeOutSec } (see sleepProgram.js); the result echoes it with an `envelope` to draw
+ * @param {number} params.seed - Master seed (integer 0..4294967295, default random); active and sham
+ *   files use independent seeds derived from it, so the same seed and request reproduce both files
+ * @param {number} params.concurrency - Worker threads for block rendering (1..64,
+ *   default: available CPU cores, at most 64; 1 renders in-process). Output does not depend on it.
+ * @param {Function} params.onProgress - Called per block with { file, fileType, block, totalBlocks, progress }
+ * @returns {Promise<Object>} File information
+ */
+export async function generateSoundFiles({ onProgress = null, ...options }) {
+  const plan = resolveTherapy(options, FILE_FORMATS);
+  const { format, sampleRate, sampleFormat, minutes, mode } = plan.info;
+
+  const outDir = path.join(__dirname, "generated");
+  // Filename format: active_phase_8000Hz_60min.wav (stereo: active_phase_L8000Hz_Rcarrier_60min.wav)
+  // Non-default encodings get a suffix, e.g. active_phase_8000Hz_60min_48k_pcm24.wav
+  const formatLabel = (sampleRate === 44100 && sampleFormat === "pcm16") ? "" : `_${sampleRate / 1000}k_${sampleFormat}`;
+  const activePath = path.join(outDir, `active_${mode}_${plan.label}_${minutes}min${formatLabel}.${format}`);
+  const shamPath = path.join(outDir, `sham_${mode}_${plan.label}_${minutes}min${formatLabel}.${format}`);
+
+  const loudness = { ...plan.level, active: null, sham: null };
+  const bandBreakdown = { active: null, sham: null };
+  const blockSchedule = { active: null, sham: null };
+  const manifests = { active: null, sham: null };
+  const pool = createPool(plan.concurrency);
+  try {
+    for (const [fileType, filePath] of [["active", activePath], ["sham", shamPath]]) {
+      if (fileType === "sham" && !plan.generateSham) continue;
+      const rendered = await generateFile(filePath, fileType, plan, pool, onProgress);
+      loudness[fileType] = rendered.loudness;
+      bandBreakdown[fileType] = rendered.harmonics;
+      blockSchedule[fileType] = rendered.schedule;
+      manifests[fileType] = writeManifest(filePath, buildManifest(plan, fileType, path.basename(filePath), rendered));
+    }
+  } finally {
+    await pool?.close();
   }
 
   return {
     active: path.basename(activePath),
-    sham: shamResult,
-    tinnitusHz: Math.round(tinnitusHz),
-    mode,
-    minutes,
-    activeBand,
-    shamBand: generateSham ? shamBand : null,
+    sham: plan.generateSham ? path.basename(shamPath) : null,
+    ...plan.info,
+    bandBreakdown,
+    blockSchedule,
+    loudness,
+    manifests,
+  };
+}
+
+/**
+ * Render therapy audio into memory without touching the filesystem.
+ *
+ * Takes the same options as generateSoundFiles and gives identical samples
+ * for the same request and seed.
+ *
+ * @param {Object} options - See generateSoundFiles
+ * @param {string|null} options.format - Encoding of `data`: "wav" (default), "flac",
+ *   "pcm" (raw interleaved little-endian samples in sampleFormat) or null for samples only
+ * @returns {Promise<Object>} Result metadata as generateSoundFiles, with active and sham
+ *   (null unless generateSham) as { samples: Float32Array (interleaved), data: Buffer|null,
+ *   numChannels, frames, loudness, bandBreakdown, blockSchedule, manifest }
+ */
+export async function renderTherapy({ onProgress = null, ...options } = {}) {
+  const plan = resolveTherapy(options, RENDER_FORMATS);
+  const files = { active: null, sham: null };
+  const pool = createPool(plan.concurrency);
+  try {
+    for (const fileType of ["active", "sham"]) {
+      if (fileType === "sham" && !plan.generateSham) continue;
+      const { samples, data, numChannels, frames, ...rendered } = await renderFile(fileType, plan, pool, onProgress);
+      files[fileType] = {
+        samples,
+        data,
+        numChannels,
+        frames,
+        loudness: rendered.loudness,
+        bandBreakdown: rendered.harmonics,
+        blockSchedule: rendered.schedule,
+        manifest: buildManifest(plan, fileType, null, rendered),
+      };
+    }
+  } finally {
+    await pool?.close();
+  }
+
+  return {
+    ...plan.info,
+    active: files.active,
+    sham: files.sham,
+    loudness: { ...plan.level, active: files.active.loudness, sham: files.sham?.loudness ?? null },
+  };
+}
+
+/**
+ * Stream therapy audio as PCM or WAV bytes without touching the filesystem.
+ *
+ * Blocks are rendered on demand: the stream renders ahead only as far as the
+ * worker lookahead allows and otherwise waits until the consumer reads, so
+ * memory stays bounded for any duration. The WAV header carries the exact
+ * data size up front, since the block layout fixes the length in advance.
+ *
+ * @param {Object} options - See generateSoundFiles
+ * @param {string} options.format - "wav" (default) or "pcm" (raw interleaved little-endian samples)
+ * @param {string} options.fileType - "active" (default) or "sham"
+ * @param {boolean} options.unknownLength - Write 0xFFFFFFFF into the WAV size fields, so players
+ *   treat the stream as live rather than as a seekable file of that size (default false)
+ * @returns {Readable} Byte stream. `stream.info` holds the result metadata plus fileType,
+ *   numChannels, frames, byteLength (null with unknownLength) and mimeType ("audio/wav", or
+ *   "application/octet-stream" for "pcm"); a "summary"
+ *   event with { loudness, bandBreakdown, blockSchedule, manifest } is emitted before "end".
+ * @throws {RangeError} If any option is invalid
+ */
+export function createTherapyStream({ fileType = "active", unknownLength = false, ...options } = {}) {
+  if (fileType !== "active" && fileType !== "sham") {
+    throw new RangeError(`Invalid fileType: ${fileType} (expected "active" or "sham")`);
+  }
+  const plan = resolveTherapy({ ...options, generateSham: options.generateSham || fileType === "sham" }, STREAM_FORMATS);
+  const { format, sampleRate, sampleFormat } = plan;
+  const channelBands = plan.channels[fileType];
+  const numChannels = channelBands.length;
+  const { bitsPerSample, float } = SAMPLE_FORMATS[sampleFormat];
+  const { frames } = blockSchedule(plan, plan.seeds[fileType]);
+  const dataBytes = frames * numChannels * (bitsPerSample / 8);
+  // The digest is unknown until the last block, so a stream carries none
+  const header = format === "wav"
+    ? buildWavHeader({
+      sampleRate, numChannels, bitsPerSample, float,
+      dataBytes: unknownLength ? null : dataBytes,
+      metadata: wavMetadata(plan, fileType, null),
+    })
+    : null;
+  const quantize = createQuantizer(plan, fileType, numChannels);
+  const encode = SAMPLE_ENCODERS[sampleFormat];
+
+  async function* chunks() {
+    const pool = createPool(plan.concurrency);
+    const recorder = createFileRecorder(channelBands, plan.job, pool);
+    try {
+      if (header) yield header;
+      for await (const block of renderBlocks(channelBands, plan.seeds[fileType], plan, pool)) {
+        recorder.push(block);
+        yield encode(quantize(block.samples));
+      }
+      const rendered = await recorder.result();
+      stream.emit("summary", {
+        loudness: rendered.loudness,
+        bandBreakdown: rendered.harmonics,
+        blockSchedule: rendered.schedule,
+        manifest: buildManifest(plan, fileType, null, rendered),
+      });
+    } finally {
+      await pool?.close();
+    }
+  }
+
+  const stream = Readable.from(chunks(), { objectMode: false });
+  stream.info = {
+    ...plan.info,
+    fileType,
+    numChannels,
+    frames,
+    byteLength: header && unknownLength ? null : (header ? header.length : 0) + dataBytes,
+    // Raw PCM is little-endian (and may be float), which no audio/L* type
+    // describes; its layout is in sampleRate, sampleFormat and numChannels
+    mimeType: format === "wav" ? "audio/wav" : "application/octet-stream",
   };
+  return stream;
 }
@@ -0,0 +1,149 @@
+/**
+ * Spectral weighting of the therapy carrier.
+ *
+ * In Eq (1) every harmonic has unit amplitude, which makes the 1-3 kHz region
+ * sound dominant and the 8-16 kHz region weak, even to normal hearers. A
+ * weighting sets a per-harmonic amplitude a(f) instead:
+ *
+ * - "flat":          a(f) = 1 (paper)
+ * - "pink":          a(f) = sqrt(1000 / f), -3 dB per octave
+ * - "equalLoudness": a(f) = 10^((L(f, phon) - phon) / 20), where L is the ISO
+ *                    226:2003 equal-loudness contour, so every component is
+ *                    lifted by the level it needs to sound as loud as 1 kHz
+ *
+ * All curves are 0 dB at 1 kHz. Blocks are normalised after synthesis, so only
+ * the shape of the curve matters. The weighting is separate from, and
+ * multiplies, hearing-slope correction (hearingProfiles.js), which follows an
+ * individual audiogram.
+ *
+ * The option lists and ranges are shared with the Advanced UI, so this
+ * module must stay free of Node-only imports.
+ */
+
+export const SPECTRAL_WEIGHTINGS = {
+  flat: "Flat (paper)",
+  pink: "Pink (−3 dB/oct)",
+  equalLoudness: "Inverse equal loudness (ISO 226)",
+};
+
+// Loudness level of the equal-loudness contour; ISO 226 covers 20..90 phon
+export const PHON_SPEC = { default: 60, min: 20, max: 90, unit: "phon" };
+
+const REFERENCE_HZ = 1000;
+
+// ISO 226:2003 Table 1: frequency, exponent af, magnitude Lu and hearing
+// threshold Tf
+const ISO226_HZ = [20, 25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+  1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500];
+const ISO226_AF = [0.532, 0.506, 0.480, 0.455, 0.432, 0.409, 0.387, 0.367, 0.349, 0.330, 0.315, 0.301, 0.288, 0.276,
+  0.267, 0.259, 0.253, 0.250, 0.246, 0.244, 0.243, 0.243, 0.243, 0.242, 0.242, 0.245, 0.254, 0.271, 0.301];
+const ISO226_LU = [-31.6, -27.2, -23.0, -19.1, -15.9, -13.0, -10.3, -8.1, -6.2, -4.5, -3.1, -2.0, -1.1, -0.4,
+  0.0, 0.3, 0.5, 0.0, -2.7, -4.1, -1.0, 1.7, 2.5, 1.2, -2.1, -7.1, -11.2, -10.7, -3.1];
+const ISO226_TF = [78.5, 68.7, 59.5, 51.1, 44.0, 37.5, 31.5, 26.5, 22.1, 17.9, 14.4, 11.4, 8.6, 6.2,
+  4.4, 3.0, 2.2, 2.4, 3.5, 1.7, -1.3, -4.2, -6.0, -5.4, -1.5, 6.0, 12.6, 13.9, 12.3];
+
+/**
+ * Validate the spectral weighting options.
+ *
+ * @param {Object} options
+ * @param {string} options.spectralWeighting - "flat" (paper default), "pink" or "equalLoudness"
+ * @param {number|null} options.phon - Contour level for "equalLoudness"; null for the default (60)
+ * @returns {Object} {weighting, phon}; phon is null unless the weighting is "equalLoudness"
+ * @throws {RangeError} On an unknown weighting or out-of-range phon level
+ */
+export function resolveSpectralWeighting({ spectralWeighting = "flat", phon = null } = {}) {
+  if (!SPECTRAL_WEIGHTINGS[spectralWeighting]) {
+    throw new RangeError(`Invalid spectralWeighting: ${spectralWeighting} (expected one of ${Object.keys(SPECTRAL_WEIGHTINGS).join(", ")})`);
+  }
+  if (spectralWeighting !== "equalLoudness") {
+    return { weighting: spectralWeighting, phon: null };
+  }
+  const level = phon ?? PHON_SPEC.default;
+  if (!Number.isFinite(level) || level < PHON_SPEC.min || level > PHON_SPEC.max) {
+    throw new RangeError(`Invalid phon: ${phon} (expected ${PHON_SPEC.min}..${PHON_SPEC.max} phon)`);
+  }
+  return { weighting: spectralWeighting, phon: level };
+}
+
+// Sound pressure level (dB SPL) on the contour at table entry i, ISO 226:2003 Eq (1)
+function contourLevel(i, phon) {
+  const af = ISO226_AF[i];
+  const Af = 4.47e-3 * (Math.pow(10, 0.025 * phon) - 1.15)
+    + Math.pow(0.4 * Math.pow(10, (ISO226_TF[i] + ISO226_LU[i]) / 10 - 9), af);
+  return (10 / af) * Math.log10(Af) - ISO226_LU[i] + 94;
+}
+
+/**
+ * Equal-loudness contour: the level a pure tone needs to sound as loud as a
+ * 1 kHz tone at `phon`. Linear in log-frequency between the table
+ * frequencies and held constant below 20 Hz and above 12.5 kHz, where the
+ * standard ends.
+ *
+ * @param {number} hz - Frequency in Hz
+ * @param {number} phon - Loudness level (20..90)
+ * @returns {number} dB SPL
+ */
+export function equalLoudnessLevel(hz, phon) {
+  return interpolateTable(contour(phon), hz);
+}
+
+function contour(phon) {
+  return ISO226_HZ.map((_, i) => contourLevel(i, phon));
+}
+
+// Value at hz of a curve given at ISO226_HZ
+function interpolateTable(values, hz) {
+  const last = ISO226_HZ.length - 1;
+  if (hz <= ISO226_HZ[0]) return values[0];
+  if (hz >= ISO226_HZ[last]) return values[last];
+  let k = 1;
+  while (hz > ISO226_HZ[k]) k++;
+  const x = Math.log(hz / ISO226_HZ[k - 1]) / Math.log(ISO226_HZ[k] / ISO226_HZ[k - 1]);
+  return values[k - 1] + x * (values[k] - values[k - 1]);
+}
+
+/**
+ * Weighting gain in dB at a frequency, 0 dB at 1 kHz.
+ *
+ * @param {Object} weighting - Result of resolveSpectralWeighting()
+ * @param {number} hz - Frequency in Hz
+ * @returns {number} Gain in dB
+ */
+export function weightingGainDb({ weighting, phon }, hz) {
+  if (weighting === "pink") return -10 * Math.log10(hz / REFERENCE_HZ);
+  if (weighting === "equalLoudness") return equalLoudnessLevel(hz, phon) - equalLoudnessLevel(REFERENCE_HZ, phon);
+  return 0;
+}
+
+/**
+ * Build the per-harmonic amplitude function for a resolved weighting.
+ *
+ * @param {Object} weighting - Result of resolveSpectralWeighting()
+ * @returns {Function|null} (hz) => linear amplitude, or null for "flat"
+ */
+export function buildSpectralGain(weighting) {
+  if (weighting.weighting === "flat") return null;
+  if (weighting.weighting === "pink") return (hz) => Math.sqrt(REFERENCE_HZ / hz);
+
+  // Evaluate the contour once; harmonics interpolate between table points.
+  // The formula puts 1 kHz a few hundredths of a dB off the phon level, so
+  // the reference is the contour itself
+  const levels = contour(weighting.phon);
+  const reference = interpolateTable(levels, REFERENCE_HZ);
+  return (hz) => Math.pow(10, (interpolateTable(levels, hz) - reference) / 20);
+}
+
+/**
+ * Sample the weighting across the carrier range for display: the carrier
+ * edges and every ISO 226 table frequency between them.
+ *
+ * @param {Object} weighting - Result of resolveSpectralWeighting()
+ * @param {Object} carrier
+ * @param {number} carrier.carrierMinHz - Carrier lower limit in Hz
+ * @param {number} carrier.carrierMaxHz - Carrier upper limit in Hz
+ * @returns {Array<Object>} [{hz, gainDb}] in frequency order
+ */
+export function weightingCurve(weighting, { carrierMinHz, carrierMaxHz }) {
+  const points = [carrierMinHz, ...ISO226_HZ.filter((hz) => hz > carrierMinHz && hz < carrierMaxHz), carrierMaxHz];
+  return points.map((hz) => ({ hz, gainDb: Math.round(weightingGainDb(weighting, hz) * 10) / 10 }));
+}
@@ -0,0 +1,265 @@
+/**
+ * WAV parser and integrity checks for generated therapy files.
+ *
+ * Reads the chunk structure of RIFF, RF64 and BW64 files without loading
+ * the audio: the format, the embedded LIST/INFO text and the generation
+ * record that soundGeneratorAPI.js writes into every WAV (chunk
+ * WAV_METADATA_CHUNK_ID, JSON). inspectWav() then checks the declared sizes
+ * against the file and the audio against the embedded MD5, so a clinic can
+ * tell which request produced a file a patient brings back and whether it
+ * is intact.
+ */
+
+import fs from "fs";
+import crypto from "crypto";
+
+// Chunk holding the JSON generation record
+export const WAV_METADATA_CHUNK_ID = "tnmd";
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+const UNKNOWN_SIZE = 0xFFFFFFFF;
+
+// Text and JSON chunks beyond this are reported but not read
+const MAX_METADATA_BYTES = 16 * 1024 * 1024;
+const DIGEST_READ_BYTES = 1 << 20;
+
+/**
+ * Byte source over an in-memory buffer.
+ *
+ * @param {Buffer} buffer - Whole file
+ * @returns {Object} {size, read(position, length)}
+ */
+export function bufferSource(buffer) {
+  return {
+    size: buffer.length,
+    read: (position, length) => buffer.subarray(position, Math.min(buffer.length, position + length)),
+  };
+}
+
+/**
+ * Byte source over an open file, read on demand.
+ *
+ * @param {number} fd - File descriptor opened for reading
+ * @returns {Object} {size, read(position, length)}
+ */
+export function fileSource(fd) {
+  const size = fs.fstatSync(fd).size;
+  return {
+    size,
+    read(position, length) {
+      const bytes = Buffer.alloc(Math.max(0, Math.min(length, size - position)));
+      fs.readSync(fd, bytes, 0, bytes.length, position);
+      return bytes;
+    },
+  };
+}
+
+// Null-terminated strings of the LIST/INFO sub-chunks
+function parseInfoList(payload) {
+  const info = {};
+  let offset = 4; // after "INFO"
+  while (offset + 8 <= payload.length) {
+    const id = payload.toString("latin1", offset, offset + 4);
+    const size = payload.readUInt32LE(offset + 4);
+    info[id] = payload.toString("utf8", offset + 8, Math.min(payload.length, offset + 8 + size)).replace(/\0+$/, "");
+    offset += 8 + size + (size % 2);
+  }
+  return info;
+}
+
+function parseFormat(payload) {
+  const formatTag = payload.readUInt16LE(0);
+  const bitsPerSample = payload.readUInt16LE(14);
+  // Extensible formats carry the real tag at the start of the sub-format GUID
+  const subFormat = formatTag === WAVE_FORMAT_EXTENSIBLE && payload.length >= 26 ? payload.readUInt16LE(24) : formatTag;
+  const encoding = subFormat === WAVE_FORMAT_PCM ? "pcm" : subFormat === WAVE_FORMAT_IEEE_FLOAT ? "float" : `0x${subFormat.toString(16)}`;
+  const sampleFormat = encoding === "pcm" && (bitsPerSample === 16 || bitsPerSample === 24) ? `pcm${bitsPerSample}`
+    : encoding === "float" && bitsPerSample === 32 ? "float32"
+    : null;
+  return {
+    encoding,
+    extensible: formatTag === WAVE_FORMAT_EXTENSIBLE,
+    numChannels: payload.readUInt16LE(2),
+    sampleRate: payload.readUInt32LE(4),
+    byteRate: payload.readUInt32LE(8),
+    blockAlign: payload.readUInt16LE(12),
+    bitsPerSample,
+    sampleFormat,
+  };
+}
+
+/**
+ * Parse the chunk structure of a WAV file.
+ *
+ * @param {Object} source - bufferSource() or fileSource()
+ * @returns {Object} {container, riffSize, chunks: [{id, offset, size}], format, factFrames,
+ *   data: {offset, size, truncated}, info, metadata, metadataError}; sizes that the file
+ *   leaves unset (a saved live stream) are null
+ * @throws {RangeError} If the source is not a RIFF/RF64/BW64 WAVE file
+ */
+export function parseWav(source) {
+  const head = source.read(0, 12);
+  const container = head.length === 12 ? head.toString("latin1", 0, 4) : null;
+  if (!["RIFF", "RF64", "BW64"].includes(container) || head.toString("latin1", 8, 12) !== "WAVE") {
+    throw new RangeError("Not a WAV file (expected a RIFF, RF64 or BW64 WAVE header)");
+  }
+
+  const result = {
+    container,
+    riffSize: head.readUInt32LE(4) === UNKNOWN_SIZE && container === "RIFF" ? null : head.readUInt32LE(4),
+    chunks: [],
+    format: null,
+    factFrames: null,
+    data: null,
+    info: null,
+    metadata: null,
+    metadataError: null,
+  };
+  let ds64 = null;
+
+  let offset = 12;
+  while (offset + 8 <= source.size) {
+    const chunkHead = source.read(offset, 8);
+    const id = chunkHead.toString("latin1", 0, 4);
+    let size = chunkHead.readUInt32LE(4);
+    if (size === UNKNOWN_SIZE && id === "data") {
+      // RF64 keeps the real size in ds64; a live stream leaves it open
+      size = ds64 ? ds64.dataSize : null;
+    }
+    const available = Math.max(0, source.size - offset - 8);
+    result.chunks.push({ id, offset, size });
+
+    if (id === "data") {
+      result.data = { offset: offset + 8, size, truncated: size !== null && size > available };
+      // Anything after the audio is rare and, for an open-ended stream, unreachable
+      if (size === null) break;
+    } else if (size <= MAX_METADATA_BYTES) {
+      const payload = source.read(offset + 8, size);
+      if (id === "ds64" && payload.length >= 28) {
+        ds64 = {
+          riffSize: Number(payload.readBigUInt64LE(0)),
+          dataSize: Number(payload.readBigUInt64LE(8)),
+          sampleCount: Number(payload.readBigUInt64LE(16)),
+        };
+        result.riffSize = ds64.riffSize;
+      } else if (id === "fmt " && payload.length >= 16) {
+        result.format = parseFormat(payload);
+      } else if (id === "fact" && payload.length >= 4) {
+        const frames = payload.readUInt32LE(0);
+        result.factFrames = frames === UNKNOWN_SIZE ? ds64?.sampleCount ?? null : frames;
+      } else if (id === "LIST" && payload.toString("latin1", 0, 4) === "INFO") {
+        result.info = parseInfoList(payload);
+      } else if (id === WAV_METADATA_CHUNK_ID) {
+        try {
+          result.metadata = JSON.parse(payload.toString("utf8"));
+        } catch (error) {
+          result.metadataError = error.message;
+        }
+      }
+    }
+    offset += 8 + size + (size % 2);
+  }
+  if (container !== "RIFF" && !ds64) {
+    result.riffSize = null;
+  }
+  return result;
+}
+
+// MD5 of the data chunk as far as the file holds it
+function dataDigest(source, { offset, size }) {
+  const end = Math.min(source.size, size === null ? source.size : offset + size);
+  const digest = crypto.createHash("md5");
+  for (let position = offset; position < end; position += DIGEST_READ_BYTES) {
+    digest.update(source.read(position, Math.min(DIGEST_READ_BYTES, end - position)));
+  }
+  return digest.digest("hex");
+}
+
+/**
+ * Inspect a WAV file: format, duration, embedded generation metadata and
+ * integrity checks.
+ *
+ * Checks (ok is true, false, or null when it does not apply):
+ * - size:     the declared RIFF/RF64 size matches the file length
+ * - data:     a data chunk exists, is complete and holds whole sample frames
+ * - fact:     the fact chunk's frame count matches the data (float files)
+ * - metadata: the generation record is present and readable
+ * - format:   the record's sample rate, sample format, channels and length match the file
+ * - checksum: the data chunk matches the record's MD5
+ *
+ * @param {Object} source - bufferSource() or fileSource()
+ * @param {Object} options
+ * @param {number} options.algorithmVersion - Current rendering version; sets `reproducible`
+ * @returns {Object} {container, format, frames, durationSec, info, metadata, chunks, checks, ok, reproducible}
+ * @throws {RangeError} If the source is not a WAV file
+ */
+export function inspectWav(source, { algorithmVersion = null } = {}) {
+  const wav = parseWav(source);
+  const { format, data, metadata } = wav;
+  const checks = [];
+  const check = (name, ok, detail) => checks.push({ name, ok, detail });
+
+  const dataBytes = data ? (data.size ?? source.size - data.offset) : 0;
+  const frames = format && format.blockAlign > 0 ? Math.floor(Math.min(dataBytes, source.size - (data?.offset ?? 0)) / format.blockAlign) : 0;
+  const durationSec = format ? Math.round((frames / format.sampleRate) * 1000) / 1000 : 0;
+
+  if (wav.riffSize === null) {
+    check("size", false, "Size fields are unset (saved from a live stream)");
+  } else {
+    check("size", wav.riffSize + 8 === source.size, `Declared ${wav.riffSize + 8} bytes, file has ${source.size}`);
+  }
+
+  if (!format || !data) {
+    check("data", false, !format ? "No fmt chunk" : "No data chunk");
+  } else if (data.truncated) {
+    check("data", false, `Data chunk declares ${data.size} bytes but the file ends after ${source.size - data.offset}`);
+  } else {
+    const partial = dataBytes % format.blockAlign;
+    check("data", partial === 0, partial === 0 ? `${frames} frames` : `${partial} trailing bytes after the last whole frame`);
+  }
+
+  if (wav.factFrames === null) {
+    check("fact", format?.encoding === "float" ? false : null, format?.encoding === "float" ? "Float data without a fact chunk" : "Not required");
+  } else {
+    check("fact", wav.factFrames === frames, `fact says ${wav.factFrames} frames, data holds ${frames}`);
+  }
+
+  if (!metadata) {
+    check("metadata", wav.metadataError ? false : null,
+      wav.metadataError ? `Unreadable generation record: ${wav.metadataError}` : "No embedded generation record");
+  } else {
+    check("metadata", true, `Algorithm version ${metadata.algorithmVersion}, seed ${metadata.seed}, ${metadata.fileType}`);
+
+    const request = metadata.request ?? {};
+    const mismatches = [];
+    if (format && request.sampleRate !== format.sampleRate) mismatches.push(`sample rate ${request.sampleRate} vs ${format.sampleRate}`);
+    if (format && request.sampleFormat !== format.sampleFormat) mismatches.push(`sample format ${request.sampleFormat} vs ${format.sampleFormat}`);
+    if (format && metadata.channelBands && metadata.channelBands.length !== format.numChannels) {
+      mismatches.push(`channels ${metadata.channelBands.length} vs ${format.numChannels}`);
+    }
+    if (metadata.frames !== undefined && metadata.frames !== frames) mismatches.push(`frames ${metadata.frames} vs ${frames}`);
+    check("format", mismatches.length === 0, mismatches.length === 0 ? "Matches the generation record" : mismatches.join("; "));
+
+    if (!metadata.dataMd5) {
+      check("checksum", null, "No checksum recorded (streamed file)");
+    } else if (data) {
+      const md5 = dataDigest(source, data);
+      check("checksum", md5 === metadata.dataMd5, md5 === metadata.dataMd5 ? `MD5 ${md5}` : `MD5 ${md5}, recorded ${metadata.dataMd5}`);
+    }
+  }
+
+  return {
+    container: wav.container,
+    format,
+    frames,
+    durationSec,
+    info: wav.info,
+    metadata,
+    chunks: wav.chunks,
+    checks,
+    ok: checks.every((c) => c.ok !== false),
+    reproducible: metadata && algorithmVersion !== null ? metadata.algorithmVersion === algorithmVersion : null,
+  };
+}
@@ -0,0 +1,137 @@
+// Round-trip checks of the encoders against independent readers:
+//   pnpm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { FLACDecoder } from '@wasm-audio-decoders/flac';
+import { renderTherapy, createTherapyStream } from './src/soundGeneratorAPI.js';
+import { inspectWav, parseWav, bufferSource, fileSource } from './src/wavParser.js';
+
+const BASE = { tinnitusHz: 4000, minutes: 0.2, seed: 11, concurrency: 1 };
+
+// Interleaved integers of a "pcm" render (little-endian, 2 or 3 bytes)
+function readPcm(data, bitsPerSample) {
+  const bytes = bitsPerSample / 8;
+  const out = new Int32Array(data.length / bytes);
+  for (let i = 0; i < out.length; i++) out[i] = data.readIntLE(i * bytes, bytes);
+  return out;
+}
+
+async function decodeFlac(data) {
+  const decoder = new FLACDecoder();
+  await decoder.ready;
+  try {
+    return await decoder.decodeFile(new Uint8Array(data));
+  } finally {
+    decoder.free();
+  }
+}
+
+for (const [name, options, bitsPerSample] of [
+  ['FLAC 16-bit mono', { sampleFormat: 'pcm16' }, 16],
+  ['FLAC 24-bit stereo, 48 kHz', { sampleFormat: 'pcm24', sampleRate: 48000, ears: { left: 4000, right: 6000 } }, 24],
+]) {
+  test(`${name} decodes with libFLAC to the PCM samples`, async () => {
+    const flac = await renderTherapy({ ...BASE, ...options, format: 'flac' });
+    const pcm = await renderTherapy({ ...BASE, ...options, format: 'pcm' });
+    const { numChannels, frames } = pcm.active;
+    const expected = readPcm(pcm.active.data, bitsPerSample);
+
+    const decoded = await decodeFlac(flac.active.data);
+    assert.deepEqual(decoded.errors, []);
+    assert.equal(decoded.sampleRate, options.sampleRate ?? 44100);
+    assert.equal(decoded.bitDepth, bitsPerSample);
+    assert.equal(decoded.channelData.length, numChannels);
+    assert.equal(decoded.samplesDecoded, frames);
+
+    // The decoder divides by the positive full scale
+    const scale = 2 ** (bitsPerSample - 1) - 1;
+    for (let c = 0; c < numChannels; c++) {
+      const channel = decoded.channelData[c];
+      for (let i = 0; i < frames; i++) {
+        const sample = Math.round(channel[i] * scale);
+        if (sample !== expected[i * numChannels + c]) {
+          assert.fail(`channel ${c}, frame ${i}: decoded ${sample}, expected ${expected[i * numChannels + c]}`);
+        }
+      }
+    }
+
+    // STREAMINFO (after "fLaC" and its block header) ends with the MD5 of
+    // the interleaved little-endian samples, which is what `flac -t` checks
+    const md5 = flac.active.data.subarray(26, 42).toString('hex');
+    assert.equal(md5, crypto.createHash('md5').update(pcm.active.data).digest('hex'));
+  });
+}
+
+test('RF64 header of a 10-hour float file reads back with its 64-bit sizes', async () => {
+  // 96 kHz float32 for 10 hours is about 13.8 GB. The stream's first chunk
+  // is the header the file writer uses too; the audio after it is left as a
+  // sparse hole of the declared length.
+  const stream = createTherapyStream({ ...BASE, minutes: 600, sampleRate: 96000, sampleFormat: 'float32' });
+  const { byteLength, frames } = stream.info;
+  assert.ok(byteLength > 2 ** 32);
+  let header;
+  for await (const chunk of stream) {
+    header = chunk;
+    break;
+  }
+
+  const filePath = path.join(os.tmpdir(), `rf64-${crypto.randomUUID()}.wav`);
+  const fd = fs.openSync(filePath, 'w+');
+  try {
+    fs.writeSync(fd, header);
+    fs.ftruncateSync(fd, byteLength);
+    const report = inspectWav(fileSource(fd));
+    assert.equal(report.container, 'RF64');
+    assert.equal(report.frames, frames);
+    assert.equal(report.format.sampleFormat, 'float32');
+    assert.equal(report.format.sampleRate, 96000);
+    for (const name of ['size', 'data', 'fact', 'format']) {
+      assert.equal(report.checks.find((check) => check.name === name).ok, true, name);
+    }
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(filePath);
+  }
+});
+
+// Quantisation error of a 16-bit WAV against the float samples it was made
+// from, in LSB; the file must also pass inspection (checksum included)
+async function ditherError(dither) {
+  const { noiseFloor, active } = await renderTherapy({ ...BASE, outputLevelDb: -30, dither, format: 'wav' });
+  const source = bufferSource(active.data);
+  assert.equal(inspectWav(source).ok, true);
+  const { data } = parseWav(source);
+  const samples = readPcm(active.data.subarray(data.offset, data.offset + data.size), 16);
+  assert.equal(samples.length, active.samples.length);
+  const fullScale = 2 ** 15 - 1;
+  const error = Float64Array.from(samples, (sample, i) => sample - active.samples[i] * fullScale);
+  return { error, noiseFloor };
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const powerDbfs = (error) => 10 * Math.log10(mean(error.map((e) => e * e)) / (2 ** 15 - 1) ** 2);
+const maxAbs = (error) => error.reduce((max, e) => Math.max(max, Math.abs(e)), 0);
+
+test('Plain rounding stays within half an LSB', async () => {
+  const { error } = await ditherError('none');
+  assert.ok(maxAbs(error) <= 0.5, `max error ${maxAbs(error)} LSB`);
+});
+
+test('TPDF dither adds zero-mean noise at the reported floor', async () => {
+  const { error, noiseFloor } = await ditherError('tpdf');
+  assert.ok(maxAbs(error) < 1.5, `max error ${maxAbs(error)} LSB`);
+  assert.ok(Math.abs(mean(error)) < 0.01, `mean error ${mean(error)} LSB`);
+  assert.ok(Math.abs(powerDbfs(error) - noiseFloor.rmsDbfs) < 0.2, `${powerDbfs(error)} vs ${noiseFloor.rmsDbfs} dBFS`);
+});
+
+test('Shaped dither moves the noise up in frequency at the reported floor', async () => {
+  const { error, noiseFloor } = await ditherError('shaped');
+  assert.ok(Math.abs(powerDbfs(error) - noiseFloor.rmsDbfs) < 0.3, `${powerDbfs(error)} vs ${noiseFloor.rmsDbfs} dBFS`);
+  // First-order shaping (1 - z^-1) gives successive errors a correlation of -1/2
+  const lag1 = mean(error.subarray(1).map((e, i) => e * error[i])) / mean(error.map((e) => e * e));
+  assert.ok(lag1 < -0.4, `lag-1 correlation ${lag1}`);
+});